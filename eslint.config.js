@@ -40,7 +40,7 @@ module.exports = [
     }
   },
   {
-    files: ["netlify/functions/**/*.js"],
+    files: ["netlify/**/*.js", "scripts/**/*.js"],
     languageOptions: {
       ecmaVersion: 2022,
       sourceType: "commonjs",
@@ -0,0 +1,369 @@
+import { BaseApp } from './baseApp.js';
+import { langManager } from './languageManager.js';
+import { uiManager } from './uiManager.js';
+import { googleSheetsService } from './googleSheetsService.js';
+
+// Researcher dashboard for admin.html
+// Shows how far participants are, from the study-progress function. The data is refreshed
+// periodically; the filters only change what is counted, so they work on the loaded data.
+// study-progress needs a researcher session: when it answers 401 the passphrase form is shown,
+// and logging in sets the session cookie the admin functions check.
+class AdminApp extends BaseApp {
+    constructor() {
+        super();
+        this.progress = null;
+        this.refreshTimer = null;
+        this.refreshInterval = 60000; // 1 minute
+        this.setupEventListeners();
+    }
+
+    initializeElements() {
+        super.initializeElements();
+        this.elements.messageDisplay = this.elements.message;
+    }
+
+    async initializeSubclass() {
+        await this.loadProgress();
+    }
+
+    setupEventListeners() {
+        this.setupCommonEventListeners();
+
+        if (this.elements.researcherLoginForm) {
+            this.elements.researcherLoginForm.addEventListener('submit', this.handleLogin.bind(this));
+        }
+
+        if (this.elements.refreshButton) {
+            this.elements.refreshButton.addEventListener('click', () => this.loadProgress());
+        }
+
+        [this.elements.languageFilter, this.elements.genderFilter].forEach(select => {
+            if (select) {
+                select.addEventListener('change', () => this.render());
+            }
+        });
+    }
+
+    onLanguageChange() {
+        this.render();
+    }
+
+    performAdditionalCleanup() {
+        this.stopAutoRefresh();
+    }
+
+    // Researchers end their session here instead of the participant logout in BaseApp
+    async handleLogout() {
+        try {
+            await googleSheetsService.logoutResearcher();
+        } catch (error) {
+            console.error('Failed to end researcher session:', error);
+        }
+        this.showLogin();
+    }
+
+    async handleLogin(event) {
+        event.preventDefault();
+
+        try {
+            await this.submitWithLoading(
+                this.elements.loginButton,
+                () => googleSheetsService.loginResearcher(this.elements.passphraseInput.value),
+                langManager.getText('admin.logging_in')
+            );
+            this.elements.passphraseInput.value = '';
+            this.clearMessage();
+            await this.loadProgress();
+        } catch (error) {
+            const textKey = error.code === 'PASSPHRASE_INVALID' ? 'admin.error_passphrase' : 'admin.error_login';
+            this.showError(langManager.getText(textKey));
+            console.error('Researcher login failed:', error);
+        }
+    }
+
+    showLogin() {
+        this.stopAutoRefresh();
+        this.progress = null;
+        uiManager.updateVisibility(this.elements, {
+            researcherLoginForm: true,
+            dashboard: false,
+            adminControls: false
+        });
+    }
+
+    showDashboard() {
+        uiManager.updateVisibility(this.elements, {
+            researcherLoginForm: false,
+            dashboard: true,
+            adminControls: true
+        });
+        if (!this.refreshTimer) {
+            this.refreshTimer = setInterval(() => this.loadProgress(), this.refreshInterval);
+        }
+    }
+
+    stopAutoRefresh() {
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
+    async loadProgress() {
+        if (this.isLoading('admin-refresh')) return;
+
+        try {
+            this.progress = await this.withLoading(
+                'admin-refresh',
+                () => googleSheetsService.loadStudyProgress(),
+                { type: 'button', button: this.elements.refreshButton, message: langManager.getText('admin.loading') }
+            );
+            this.clearMessage();
+            this.showDashboard();
+            this.render();
+        } catch (error) {
+            if (error.status === 401) {
+                // No session yet, or it expired while the page was open
+                this.showLogin();
+                return;
+            }
+            console.error('Failed to load study progress:', error);
+            this.showError(langManager.getText('admin.load_error'));
+        }
+    }
+
+    // Participants matching the native language and gender filters
+    getFilteredParticipants() {
+        const language = this.elements.languageFilter?.value || '';
+        const gender = this.elements.genderFilter?.value || '';
+        return this.progress.participants.filter(participant =>
+            (!language || participant.nativeLanguage === language) &&
+            (!gender || participant.gender === gender)
+        );
+    }
+
+    render() {
+        if (!this.progress) return;
+
+        this.populateFilter(this.elements.languageFilter, this.progress.participants.map(participant => participant.nativeLanguage));
+        this.populateFilter(this.elements.genderFilter, this.progress.participants.map(participant => participant.gender));
+
+        const participants = this.getFilteredParticipants();
+        const participantIds = new Set(participants.map(participant => participant.participantId));
+        const responses = this.progress.responses.filter(response => participantIds.has(response.participantId));
+
+        if (this.elements.lastUpdated) {
+            this.elements.lastUpdated.textContent = `${langManager.getText('admin.last_updated')} ${new Date(this.progress.generatedAt).toLocaleString()}`;
+        }
+        this.renderSummary(participants, responses);
+        this.renderParticipants(participants);
+        this.renderVideos(participants, responses);
+        this.renderRegistrations(participants);
+    }
+
+    // Rebuild a filter's options from the values in the data, keeping the current choice
+    populateFilter(select, values) {
+        if (!select) return;
+
+        const selected = select.value;
+        const options = [...new Set(values.filter(value => value))].sort();
+        select.innerHTML = '';
+
+        const allOption = document.createElement('option');
+        allOption.value = '';
+        allOption.textContent = langManager.getText('admin.filter_all');
+        select.appendChild(allOption);
+
+        options.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value;
+            select.appendChild(option);
+        });
+        select.value = options.includes(selected) ? selected : '';
+    }
+
+    renderSummary(participants, responses) {
+        const container = this.elements.summaryCards;
+        if (!container) return;
+
+        const completed = participants.filter(participant => this.isComplete(participant));
+        const cards = [
+            ['admin.summary_participants', participants.length],
+            ['admin.summary_completed', completed.length],
+            ['admin.summary_responses', responses.filter(response => !response.noDescription).length],
+            ['admin.summary_audio', responses.filter(response => response.hasAudio).length],
+            ['admin.summary_flagged', participants.filter(participant => participant.attention.flagged).length]
+        ];
+
+        container.innerHTML = '';
+        cards.forEach(([labelKey, value]) => {
+            const card = document.createElement('div');
+            card.className = 'admin-card';
+
+            const number = document.createElement('strong');
+            number.textContent = value;
+            const label = document.createElement('span');
+            label.textContent = langManager.getText(labelKey);
+
+            card.append(number, label);
+            container.appendChild(card);
+        });
+    }
+
+    renderParticipants(participants) {
+        const body = this.elements.participantTableBody;
+        if (!body) return;
+
+        body.innerHTML = '';
+
+        if (!participants.length) {
+            this.appendEmptyRow(body, 9);
+            return;
+        }
+
+        participants.forEach(participant => {
+            const row = document.createElement('tr');
+            const videoCount = participant.assignedVideos.length;
+            row.classList.toggle('complete', this.isComplete(participant));
+            row.classList.toggle('flagged', participant.attention.flagged);
+
+            const progressCell = document.createElement('td');
+            const progressBar = document.createElement('div');
+            progressBar.className = 'admin-progress';
+            const progressFill = document.createElement('div');
+            progressFill.className = 'admin-progress-fill';
+            progressFill.style.width = `${videoCount ? (participant.answeredVideos.length / videoCount) * 100 : 0}%`;
+            progressBar.appendChild(progressFill);
+            const progressText = document.createElement('span');
+            progressText.textContent = `${participant.answeredVideos.length} / ${videoCount}`;
+            progressCell.append(progressBar, progressText);
+
+            row.append(
+                this.createCell(participant.participantId),
+                this.createCell(participant.nativeLanguage),
+                this.createCell(participant.gender),
+                this.createCell(participant.age ?? ''),
+                this.createCell(this.formatDate(participant.registrationTimestamp)),
+                progressCell,
+                this.createCell(participant.audioCount),
+                this.createCell(this.formatAttention(participant.attention)),
+                this.createCell(this.formatDate(participant.lastAnsweredTimestamp))
+            );
+            body.appendChild(row);
+        });
+    }
+
+    // Catch trials passed out of those scored so far, e.g. "1 / 2 (of 3)"; "-" when the study has none
+    formatAttention(attention) {
+        if (!attention.total) return '-';
+        const scored = attention.passed + attention.failed;
+        const text = `${attention.passed} / ${scored} (${langManager.getText('admin.attention_of')} ${attention.total})`;
+        return attention.flagged ? `${text} ${langManager.getText('admin.attention_flagged')}` : text;
+    }
+
+    renderVideos(participants, responses) {
+        const body = this.elements.videoTableBody;
+        if (!body) return;
+
+        body.innerHTML = '';
+        if (!this.progress.videos.length) {
+            this.appendEmptyRow(body, 5);
+            return;
+        }
+
+        this.progress.videos.forEach(video => {
+            const videoResponses = responses.filter(response => response.video === video);
+            const answeredBy = new Set(videoResponses.map(response => response.participantId));
+            const assignedTo = participants.filter(participant => participant.assignedVideos.includes(video));
+            const noDescriptionBy = new Set(videoResponses
+                .filter(response => response.noDescription)
+                .map(response => response.participantId));
+            const noDescriptionRate = answeredBy.size ? Math.round((noDescriptionBy.size / answeredBy.size) * 100) : null;
+
+            const row = document.createElement('tr');
+            row.append(
+                this.createCell(video.replace('.mp4', '')),
+                this.createCell(`${answeredBy.size} / ${assignedTo.length}`),
+                this.createCell(videoResponses.filter(response => !response.noDescription).length),
+                this.createCell(noDescriptionRate === null ? '-' : `${noDescriptionRate}%`),
+                this.createCell(videoResponses.filter(response => response.hasAudio).length)
+            );
+            body.appendChild(row);
+        });
+    }
+
+    // One bar per registration day, with the running total next to it
+    renderRegistrations(participants) {
+        const container = this.elements.registrationChart;
+        if (!container) return;
+
+        const perDay = new Map();
+        participants
+            .map(participant => participant.registrationTimestamp.slice(0, 10))
+            .filter(day => day)
+            .sort()
+            .forEach(day => perDay.set(day, (perDay.get(day) || 0) + 1));
+
+        container.innerHTML = '';
+        if (!perDay.size) {
+            container.textContent = langManager.getText('admin.no_data');
+            return;
+        }
+
+        const maxCount = Math.max(...perDay.values());
+        let total = 0;
+        perDay.forEach((count, day) => {
+            total += count;
+
+            const row = document.createElement('div');
+            row.className = 'admin-chart-row';
+
+            const label = document.createElement('span');
+            label.className = 'admin-chart-label';
+            label.textContent = day;
+
+            const bar = document.createElement('div');
+            bar.className = 'admin-chart-bar';
+            // Longest bar takes 60% of the row, leaving room for the labels
+            bar.style.width = `${(count / maxCount) * 60}%`;
+            bar.title = String(count);
+
+            const value = document.createElement('span');
+            value.className = 'admin-chart-value';
+            value.textContent = `+${count} (${total})`;
+
+            row.append(label, bar, value);
+            container.appendChild(row);
+        });
+    }
+
+    // Answered every video assigned to them (all videos, or their subset)
+    isComplete(participant) {
+        return participant.assignedVideos.length > 0 &&
+            participant.answeredVideos.length === participant.assignedVideos.length;
+    }
+
+    createCell(value) {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        return cell;
+    }
+
+    appendEmptyRow(body, columnCount) {
+        const row = document.createElement('tr');
+        const cell = this.createCell(langManager.getText('admin.no_data'));
+        cell.colSpan = columnCount;
+        row.appendChild(cell);
+        body.appendChild(row);
+    }
+
+    formatDate(timestamp) {
+        return timestamp ? new Date(timestamp).toLocaleString() : '-';
+    }
+}
+
+export { AdminApp };
+
+// Initialize the app when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new AdminApp();
+});
@@ -186,11 +186,21 @@ class BaseApp {
     loadAndValidateParticipantInfo() {
         this.participantInfo = JSON.parse(localStorage.getItem("participantInfo"));
         
-        if (!this.participantInfo) {
+        // Records saved before session tokens were issued cannot reach the server; log in again
+        if (!this.participantInfo || !this.participantInfo.sessionToken) {
+            localStorage.removeItem("participantInfo");
             alert("Warning, no participant information found");
             window.location.href = "index.html";
             return false;
         }
+
+        // The consent form changed (consentVersion in sheet-info.json) since this participant agreed;
+        // index.html asks them again when they log back in
+        if (this.config?.consentVersion && this.participantInfo.consentVersion !== this.config.consentVersion) {
+            localStorage.removeItem("participantInfo");
+            window.location.href = "index.html";
+            return false;
+        }
         
         return true;
     }
@@ -243,6 +253,16 @@ class BaseApp {
         this.activeLoadingStates.delete(componentId);
     }
     
+    /**
+     * Report progress of a long-running operation (e.g. an upload) on its loading state
+     * @param {string} componentId - Component identifier
+     * @param {number} loaded - Bytes done so far
+     * @param {number} total - Total bytes
+     */
+    updateLoadingProgress(componentId, loaded, total) {
+        this.loadingManager.updateProgress(componentId, loaded, total);
+    }
+    
     /**
      * Check if component is loading
      * @param {string} componentId - Component identifier
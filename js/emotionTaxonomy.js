@@ -0,0 +1,65 @@
+import { langManager } from './languageManager.js';
+
+// Emotion Taxonomy
+// Builds emotionSelect from `emotions` in sheet-info.json: the options in the study's order, each
+// labelled in the page's language from its own `labels`, else from survey.emotion_options in the
+// lang files. With `allowOther` an "other" option asks the participant to name the emotion. The
+// format and the server-side check of saved values are in netlify/lib/emotions.js
+
+// Same defaults as netlify/lib/emotions.js, for studies that configure no emotions
+const DEFAULT_EMOTIONS = ['joy', 'sadness', 'anger', 'surprise', 'fear', 'disgust', 'contempt'];
+const OTHER_EMOTION = 'other';
+
+class EmotionTaxonomy {
+    constructor(config = {}) {
+        const emotions = config?.emotions;
+        // Option values with the labels the study gives them: { value, labels }
+        this.options = (emotions?.options || DEFAULT_EMOTIONS).map(option =>
+            (typeof option === 'string' ? { value: option, labels: {} } : { labels: {}, ...option })
+        );
+        this.allowOther = Boolean(emotions?.allowOther);
+    }
+
+    isOther(value) {
+        return this.allowOther && value === OTHER_EMOTION;
+    }
+
+    label(value) {
+        const option = this.options.find(candidate => candidate.value === value);
+        const ownLabel = option?.labels[langManager.currentLanguage];
+        if (ownLabel) {
+            return ownLabel;
+        }
+        const key = `survey.emotion_options.${value}`;
+        const translation = langManager.getText(key);
+        return translation !== key ? translation : value;
+    }
+
+    // Label of a saved response's emotion; an "other" one is shown in the participant's words
+    describe(item) {
+        if (!item.emotion) return '';
+        return this.isOther(item.emotion) && item.emotionOther ? item.emotionOther : this.label(item.emotion);
+    }
+
+    /**
+     * Fill the select with the options, after its placeholder; the selected value is kept
+     * Called again on a language change to relabel the options.
+     * @param {HTMLSelectElement} select - emotionSelect
+     */
+    populateSelect(select) {
+        if (!select) return;
+
+        const selected = select.value;
+        Array.from(select.options).filter(option => option.value !== '').forEach(option => option.remove());
+        const values = this.options.map(option => option.value);
+        if (this.allowOther) {
+            values.push(OTHER_EMOTION);
+        }
+        values.forEach(value => {
+            select.add(new Option(this.label(value), value));
+        });
+        select.value = values.includes(selected) ? selected : '';
+    }
+}
+
+export { EmotionTaxonomy };
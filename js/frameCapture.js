@@ -0,0 +1,86 @@
+// Frame Capture
+// Start/end capture on the frame the participant is looking at. requestVideoFrameCallback reports
+// the media time of every frame the player presents, while `currentTime` can be a frame or more
+// away from the picture depending on the browser, so it is only the fallback where the callback is
+// missing. Frame numbers come from the study's videoFrameRate (sheet-info.json) and count from 0,
+// the way the motion-capture frames do in the source videos
+
+// currentTime may land a hair before the frame it sits on once converted to frames
+const FRAME_EPSILON = 1e-6;
+const FALLBACK_FRAME_RATE = 30;
+
+class FrameCapture {
+    constructor(videoPlayer, frameRate = null) {
+        this.videoPlayer = videoPlayer;
+        this.frameRate = parseFloat(frameRate) > 0 ? parseFloat(frameRate) : null;
+        this.presentedMediaTime = null; // Media time of the frame on screen, from the last frame callback
+        this.frameCallbackId = null;
+
+        if (typeof videoPlayer.requestVideoFrameCallback === 'function') {
+            this.watchFrames();
+            // A new source has presented none of its frames yet
+            videoPlayer.addEventListener('emptied', () => {
+                this.presentedMediaTime = null;
+                this.watchFrames();
+            });
+        }
+    }
+
+    watchFrames() {
+        if (this.frameCallbackId !== null) {
+            this.videoPlayer.cancelVideoFrameCallback(this.frameCallbackId);
+        }
+        this.frameCallbackId = this.videoPlayer.requestVideoFrameCallback((now, metadata) => {
+            this.frameCallbackId = null;
+            this.presentedMediaTime = metadata.mediaTime;
+            this.watchFrames();
+        });
+    }
+
+    /**
+     * Position of the frame on screen
+     * @returns {Object} - { time, frame }: time in seconds (to the millisecond) and the frame number,
+     *   null when the study sets no videoFrameRate
+     */
+    capture() {
+        const presented = this.presentedMediaTime !== null;
+        // A presented frame's media time is where it starts; currentTime can fall anywhere inside one
+        if (presented && this.frameRate) {
+            return this.atFrame(Math.round(this.presentedMediaTime * this.frameRate));
+        }
+        return this.at(presented ? this.presentedMediaTime : this.videoPlayer.currentTime);
+    }
+
+    /**
+     * Position of the frame shown at a media time, e.g. one picked on the segment timeline
+     * @param {number} seconds - Media time
+     * @returns {Object} - { time, frame } as from capture()
+     */
+    at(seconds) {
+        if (!this.frameRate) {
+            return { time: roundTime(seconds), frame: null };
+        }
+        return this.atFrame(Math.floor(seconds * this.frameRate + FRAME_EPSILON));
+    }
+
+    atFrame(frame) {
+        return { time: roundTime(frame / this.frameRate), frame };
+    }
+
+    // Length of one frame in seconds; without videoFrameRate a 30 fps step stands in for it
+    get frameDuration() {
+        return 1 / (this.frameRate || FALLBACK_FRAME_RATE);
+    }
+}
+
+function roundTime(seconds) {
+    return Math.round(seconds * 1000) / 1000;
+}
+
+// Captured times are shown and saved to the millisecond: at 120 fps a frame lasts 8.3 ms
+function formatCaptureTime(value) {
+    const time = parseFloat(value);
+    return Number.isFinite(time) ? time.toFixed(3) : "-.--";
+}
+
+export { FrameCapture, formatCaptureTime };
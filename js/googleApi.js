@@ -1,104 +1,165 @@
-import { ConfigManager } from './utils.js';
+// Google Drive audio upload
+// Goes through the start-audio-upload and upload-audio-chunk Netlify functions, which hold
+// the Google credentials; the participant is identified by the sessionToken issued at login.
+// Clips are sent in chunks to a Drive resumable upload session, so a dropped connection
+// only costs the chunk in flight and an interrupted upload can carry on where it stopped.
 
-// Google API authentication and operations
+const CHUNK_RETRY_ATTEMPTS = 4;
+const CHUNK_RETRY_DELAY = 1000; // 1 second, grows with each attempt
 
-// Token cache with expiration
-let tokenCache = {
-    token: null,
-    expiry: null
-};
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
 
-// Generic function to get access token (works for both Sheets and Drive)
-async function getAccessToken() {
-    try {
-        // Check if we have a valid cached token
-        if (tokenCache.token && tokenCache.expiry && new Date() < tokenCache.expiry) {
-            return tokenCache.token;
-        }
+// Failures that a later attempt can get past (offline, timeouts, server hiccups)
+function isTransientFailure(error) {
+    return !error.status || error.status >= 500 || [408, 429].includes(error.status);
+}
 
-        const response = await fetch('/.netlify/functions/get-access-token', { 
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({}) // Empty body since we just need a token
-        });
+// POST to an audio function; failures carry the HTTP status and server error code
+async function callAudioFunction(name, sessionToken, { headers = {}, body = null }) {
+    const response = await fetch(`/.netlify/functions/${name}`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${sessionToken}`,
+            ...headers
+        },
+        body
+    });
 
-        if (!response.ok) {
-            throw new Error(`API error: ${response.status} ${response.statusText}`);
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(result.error || `HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        error.code = result.code || null;
+        throw error;
+    }
+    return result;
+}
+
+async function startAudioUpload(sessionToken, filename, audioBlob, responseId) {
+    return callAudioFunction('start-audio-upload', sessionToken, {
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            filename,
+            responseId,
+            mimeType: audioBlob.type || 'audio/webm',
+            size: audioBlob.size
+        })
+    });
+}
+
+// How far the upload session got: { complete, received, fileName?, audioReceipt? }
+async function getAudioUploadStatus(sessionToken, upload, total) {
+    return callAudioFunction('upload-audio-chunk', sessionToken, {
+        headers: {
+            'X-Upload-Token': upload.uploadToken,
+            'Content-Range': `bytes */${total}`
         }
-        
-        const data = await response.json();
-        
-        if (!data.access_token) {
-            throw new Error('Invalid response format: missing access_token');
+    });
+}
+
+// Send the bytes from `start`, retrying transient failures; after a failed attempt the
+// session is asked where it stands, since the chunk may have landed before the connection dropped
+async function sendAudioChunk(sessionToken, upload, audioBlob, start) {
+    const total = audioBlob.size;
+    const end = Math.min(start + upload.chunkSize, total);
+    let lastError;
+
+    for (let attempt = 1; attempt <= CHUNK_RETRY_ATTEMPTS; attempt++) {
+        try {
+            return await callAudioFunction('upload-audio-chunk', sessionToken, {
+                headers: {
+                    'Content-Type': 'application/octet-stream',
+                    'X-Upload-Token': upload.uploadToken,
+                    'Content-Range': `bytes ${start}-${end - 1}/${total}`
+                },
+                body: audioBlob.slice(start, end)
+            });
+        } catch (error) {
+            lastError = error;
+            if (!isTransientFailure(error)) {
+                throw error;
+            }
+
+            console.warn(`Audio chunk at byte ${start} - Attempt ${attempt}/${CHUNK_RETRY_ATTEMPTS} failed:`, error.message);
+            if (attempt < CHUNK_RETRY_ATTEMPTS) {
+                await delay(CHUNK_RETRY_DELAY * attempt);
+                try {
+                    const status = await getAudioUploadStatus(sessionToken, upload, total);
+                    if (status.complete || status.received !== start) {
+                        return status;
+                    }
+                } catch (_statusError) {
+                    // Still unreachable - the next attempt resends the same chunk
+                }
+            }
         }
-        
-        // Cache the token for 50 minutes
-        tokenCache.token = data.access_token;
-        tokenCache.expiry = new Date(Date.now() + 50 * 60 * 1000);
-        
-        return data.access_token;
-    } catch (error) {
-        console.error('Error getting access token:', error);
-        throw error;
     }
+
+    throw lastError;
 }
 
+/**
+ * Upload an audio clip to Google Drive
+ * @param {Blob} audioBlob - Recorded audio
+ * @param {string} sessionToken - Participant session token
+ * @param {number} participantId - Participant ID (used in the file name)
+ * @param {string} videoName - Video the clip describes
+ * @param {string} onomatopoeia - Description the clip belongs to
+ * @param {string} timestamp - answeredTimestamp of the response
+ * @param {string} responseId - Id of the response the clip belongs to
+ * @param {Object} options - { onProgress(loaded, total), resume: upload from an earlier attempt, onUploadStart(upload) (awaited) }
+ * @returns {Promise<string>} - Receipt for the uploaded file, saved with the response (the server names the clip from it)
+ */
+async function uploadAudioFile(audioBlob, sessionToken, participantId, videoName, onomatopoeia, timestamp, responseId, options = {}) {
+    const { onProgress = null, resume = null, onUploadStart = null } = options;
+    const total = audioBlob.size;
 
-// Function to upload audio file to Google Drive
-async function uploadAudioFile(audioBlob, participantId, participantName, videoName, onomatopoeia, timestamp) {
     try {
-        // First get an access token (reuse the existing token caching system)
-        const accessToken = await getAccessToken();
-        const config = await ConfigManager.getSheetConfig();
-        
-        // Convert blob to base64 more efficiently using FileReader
-        const base64Audio = await new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () => {
-                const base64String = reader.result.split(',')[1]; // Remove data:audio/webm;base64, prefix
-                resolve(base64String);
-            };
-            reader.onerror = reject;
-            reader.readAsDataURL(audioBlob);
-        });
-
-        // Create safe folder name: remove special characters and limit length
-        const safeName = participantName.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 20);
-        const participantFolderName = `${participantId}_${safeName}`;
-        
-        // Generate filename: participant_video_onomatopoeia_timestamp.webm
-        const sanitizedOnomatopoeia = onomatopoeia.replace(/[^a-zA-Z0-9]/g, '_');
-        const filename = `${participantId}_${videoName.replace('.mp4', '')}_${sanitizedOnomatopoeia}_${timestamp}.webm`;
-        
-        const response = await fetch('/.netlify/functions/upload-audio', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                audioData: base64Audio,
-                filename: filename,
-                participantId: participantId,
-                participantName: participantName,
-                participantFolderName: participantFolderName,
-                videoName: videoName,
-                accessToken: accessToken,
-                parentFolderId: config.audioDriveFolderId
-            })
-        });
-
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+        let upload = resume;
+        let received = 0;
+
+        // Pick up an interrupted upload where Drive left it
+        if (upload) {
+            try {
+                const status = await getAudioUploadStatus(sessionToken, upload, total);
+                if (status.complete) {
+                    return status.audioReceipt;
+                }
+                received = status.received;
+            } catch (error) {
+                if (error.code !== 'UPLOAD_EXPIRED') {
+                    throw error;
+                }
+                upload = null; // The session is gone - start over
+            }
         }
 
-        const result = await response.json();
-        
-        if (result.success) {
-            return result.fileName;
-        } else {
-            throw new Error(result.error || 'Upload failed');
+        if (!upload) {
+            // Generate filename: participant_video_onomatopoeia_timestamp_responseId.webm
+            const sanitizedOnomatopoeia = onomatopoeia.replace(/[^a-zA-Z0-9]/g, '_');
+            const filename = `${participantId}_${videoName.replace('.mp4', '')}_${sanitizedOnomatopoeia}_${timestamp}_${responseId}.webm`;
+
+            upload = await startAudioUpload(sessionToken, filename, audioBlob, responseId);
+            if (onUploadStart) {
+                await onUploadStart(upload);
+            }
+        }
+
+        while (true) {
+            if (onProgress) {
+                onProgress(received, total);
+            }
+
+            const result = await sendAudioChunk(sessionToken, upload, audioBlob, received);
+            if (result.complete) {
+                if (onProgress) {
+                    onProgress(total, total);
+                }
+                return result.audioReceipt;
+            }
+            received = result.received;
         }
     } catch (error) {
         console.error('Error uploading audio:', error);
@@ -106,4 +167,4 @@ async function uploadAudioFile(audioBlob, participantId, participantName, videoN
     }
 }
 
-export { getAccessToken, uploadAudioFile };
+export { uploadAudioFile };
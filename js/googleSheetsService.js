@@ -1,9 +1,7 @@
-import { getAccessToken } from './googleApi.js';
-import { obtainDate } from './utils.js';
-
 // Google Sheets Service Class
-// Consolidates all Google Sheets operations with enhanced error handling, 
-// data transformation, and batch operations
+// Client for the study's Netlify functions, which do all Sheets work server-side
+// (netlify/lib/*). The browser never holds Google credentials: participant calls
+// carry the sessionToken issued at lookup/registration instead.
 
 class GoogleSheetsService {
     constructor() {
@@ -20,6 +18,12 @@ class GoogleSheetsService {
                 return await operation();
             } catch (error) {
                 lastError = error;
+
+                // Client errors (validation, conflicts) will not succeed on a retry
+                if (error.status >= 400 && error.status < 500) {
+                    throw error;
+                }
+
                 console.warn(`${context} - Attempt ${attempt}/${this.retryAttempts} failed:`, error.message);
                 
                 if (attempt < this.retryAttempts) {
@@ -36,322 +40,150 @@ class GoogleSheetsService {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
-    // Core CRUD operations with enhanced error handling
-    async getSheetData(spreadsheetId, sheetName) {
-        return this.withRetry(async () => {
-            const accessToken = await getAccessToken();
-            const response = await fetch(
-                `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${sheetName}`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${accessToken}`,
-                    },
-                }
-            );
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const data = await response.json();
-            return data.values || [];
-        }, `Getting data from sheet ${sheetName}`);
-    }
-
-    async appendSheetData(spreadsheetId, sheetName, newData) {
-        return this.withRetry(async () => {
-            const accessToken = await getAccessToken();
-            const response = await fetch(
-                `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${sheetName}:append?valueInputOption=RAW&insertDataOption=INSERT_ROWS`,
-                {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${accessToken}`,
-                    },
-                    body: JSON.stringify({
-                        values: Array.isArray(newData[0]) ? newData : [newData],
-                    }),
-                }
-            );
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const result = await response.json();
-            if (result.error) {
-                throw new Error(`Sheets API error: ${result.error.message || 'Unknown error'}`);
-            }
-            return result;
-        }, `Appending data to sheet ${sheetName}`);
-    }
-
-    async updateSheetData(spreadsheetId, range, values) {
-        return this.withRetry(async () => {
-            const accessToken = await getAccessToken();
-            const response = await fetch(
-                `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${range}?valueInputOption=RAW`,
-                {
-                    method: 'PUT',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${accessToken}`,
-                    },
-                    body: JSON.stringify({
-                        values: values,
-                    }),
-                }
-            );
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const result = await response.json();
-            if (result.error) {
-                throw new Error(`Sheets API error: ${result.error.message || 'Unknown error'}`);
-            }
-            return result;
-        }, `Updating range ${range} in spreadsheet`);
-    }
-
-    // True batch operations for better performance
-    async batchUpdate(spreadsheetId, operations) {
-        return this.withRetry(async () => {
-            const accessToken = await getAccessToken();
-            
-            // Convert operations to Google Sheets batch format
-            const requests = operations.map(op => {
-                switch (op.type) {
-                    case 'append':
-                        return {
-                            appendCells: {
-                                sheetId: op.sheetId,
-                                rows: op.data.map(row => ({
-                                    values: row.map(cell => ({ userEnteredValue: { stringValue: String(cell) } }))
-                                })),
-                                fields: 'userEnteredValue'
-                            }
-                        };
-                    case 'update':
-                        return {
-                            updateCells: {
-                                range: {
-                                    sheetId: op.sheetId,
-                                    startRowIndex: op.startRow,
-                                    endRowIndex: op.endRow,
-                                    startColumnIndex: op.startCol,
-                                    endColumnIndex: op.endCol
-                                },
-                                rows: op.data.map(row => ({
-                                    values: row.map(cell => ({ userEnteredValue: { stringValue: String(cell) } }))
-                                })),
-                                fields: 'userEnteredValue'
-                            }
-                        };
-                }
-            });
-
-            const response = await fetch(
-                `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}:batchUpdate`,
-                {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${accessToken}`,
-                    },
-                    body: JSON.stringify({ requests }),
-                }
-            );
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const result = await response.json();
-            if (result.error) {
-                throw new Error(`Sheets API error: ${result.error.message || 'Unknown error'}`);
-            }
-            return result;
-        }, `Batch updating spreadsheet ${spreadsheetId}`);
-    }
-
-    // Standardized row finding with flexible matching
-    findRows(data, criteria) {
-        if (!data || data.length <= 1) {
-            return [];
+    // Call one of the study Netlify functions; failures carry the HTTP status and server error code
+    // keepalive lets the request finish after the page is closed
+    async callFunction(name, payload = {}, sessionToken = null, { keepalive = false } = {}) {
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+        if (sessionToken) {
+            headers['Authorization'] = `Bearer ${sessionToken}`;
         }
 
-        const results = [];
-        // Skip header row (index 0)
-        for (let i = 1; i < data.length; i++) {
-            const row = data[i];
-            let matches = true;
-
-            // Check all criteria
-            for (const [columnIndex, expectedValue] of Object.entries(criteria)) {
-                const actualValue = row[parseInt(columnIndex)];
-                
-                if (typeof expectedValue === 'function') {
-                    // Custom matching function
-                    if (!expectedValue(actualValue, row, i)) {
-                        matches = false;
-                        break;
-                    }
-                } else if (typeof expectedValue === 'string' && typeof actualValue === 'string') {
-                    // Case-insensitive string comparison
-                    if (actualValue.toLowerCase() !== expectedValue.toLowerCase()) {
-                        matches = false;
-                        break;
-                    }
-                } else {
-                    // Direct comparison (with type coercion for numbers)
-                    if (actualValue != expectedValue) {
-                        matches = false;
-                        break;
-                    }
-                }
-            }
+        const response = await fetch(`/.netlify/functions/${name}`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(payload),
+            keepalive
+        });
 
-            if (matches) {
-                results.push({
-                    rowIndex: i,
-                    data: row
-                });
-            }
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(result.error || `HTTP ${response.status}: ${response.statusText}`);
+            error.status = response.status;
+            error.code = result.code || null;
+            throw error;
         }
-
-        return results;
+        return result;
     }
 
-    // Find a single row (returns first match)
-    findRow(data, criteria) {
-        const results = this.findRows(data, criteria);
-        return results.length > 0 ? results[0] : null;
+    // Participant-specific operations
+    // Returns the participant (with its sessionToken) or null when the email is not registered yet
+    async findParticipantByEmail(email) {
+        const result = await this.withRetry(
+            () => this.callFunction('lookup-participant', { email }),
+            'Looking up participant'
+        );
+        return result.participant;
     }
 
-    // Data transformation utilities
-    transformRowToObject(row, columnMapping) {
-        const obj = {};
-        for (const [key, columnIndex] of Object.entries(columnMapping)) {
-            obj[key] = row[columnIndex];
-        }
-        return obj;
+    // Access-code and anonymous login modes: the code the participant typed (error.code === 'ACCESS_CODE_INVALID'
+    // when it is unknown). Null for an issued access code nobody has registered with yet
+    async findParticipantByCode(code) {
+        const result = await this.withRetry(
+            () => this.callFunction('lookup-participant', { code }),
+            'Looking up access code'
+        );
+        return result.participant;
     }
 
-    transformObjectToRow(obj, columnMapping) {
-        const row = new Array(Math.max(...Object.values(columnMapping)) + 1);
-        for (const [key, columnIndex] of Object.entries(columnMapping)) {
-            row[columnIndex] = obj[key];
-        }
-        return row;
+    // Participants sent by a recruitment panel: { participantId, studyId, sessionId } from the query string.
+    // Null when the panel participant has not registered yet
+    async findParticipantByRecruitment(recruitment) {
+        const result = await this.withRetry(
+            () => this.callFunction('lookup-participant', { recruitment }),
+            'Looking up recruitment participant'
+        );
+        return result.participant;
     }
 
-    // Participant-specific operations (consolidates app.js functions)
-    async findParticipantByEmail(spreadsheetId, sheetName, email) {
-        const data = await this.getSheetData(spreadsheetId, sheetName);
-        const result = this.findRow(data, {
-            1: email // Email is in column B (index 1)
-        });
-
-        if (!result) {
-            return null;
-        }
-
-        const participantMapping = {
-            participantId: 0,
-            email: 1,
-            name: 2,
-            age: 3,
-            gender: 4,
-            nativeLanguage: 5,
-            registrationTimestamp: 6
-        };
-
-        return this.transformRowToObject(result.data, participantMapping);
+    // Registration runs server-side (register-participant function) so that participant IDs
+    // are allocated under a lock and duplicate emails are rejected (error.code === 'EMAIL_REGISTERED').
+    // Not retried: a request that timed out may still have registered the participant, and a
+    // second attempt would register them again (or, with email login, fail as already registered)
+    async registerParticipant(participantData) {
+        const result = await this.callFunction('register-participant', participantData);
+        return result.participant;
     }
 
-    async saveNewParticipant(spreadsheetId, sheetName, participantData) {
-        // Get existing data to find max ID
-        const data = await this.getSheetData(spreadsheetId, sheetName);
-        
-        let maxId = 0;
-        if (data && data.length > 1) {
-            // Skip header row and find max ID
-            for (let i = 1; i < data.length; i++) {
-                const id = parseInt(data[i][0]);
-                if (!isNaN(id) && id > maxId) {
-                    maxId = id;
-                }
-            }
-        }
-
-        const newParticipantId = maxId + 1;
-        
-        const participantMapping = {
-            participantId: 0,
-            email: 1,
-            name: 2,
-            age: 3,
-            gender: 4,
-            nativeLanguage: 5,
-            registrationTimestamp: 6
-        };
+    // A returning participant agreeing to a new consent version; the participant comes back with
+    // a new sessionToken, as the old one is refused by the other functions (error.code === 'CONSENT_REQUIRED')
+    async recordConsent(sessionToken, consentVersion) {
+        const result = await this.withRetry(
+            () => this.callFunction('record-consent', { consentVersion }, sessionToken),
+            'Recording consent'
+        );
+        return result.participant;
+    }
 
-        const participantWithId = {
-            ...participantData,
-            participantId: newParticipantId,
-            registrationTimestamp: obtainDate()
-        };
+    // Onomatopoeia-specific operations
+    // The session token identifies the participant; the server only returns and writes their own rows
+    async loadOnomatopoeiaData(sessionToken) {
+        const result = await this.withRetry(
+            () => this.callFunction('load-responses', {}, sessionToken),
+            'Loading responses'
+        );
+        return result.responses;
+    }
 
-        const newRow = this.transformObjectToRow(participantWithId, participantMapping);
-        await this.appendSheetData(spreadsheetId, sheetName, newRow);
+    async saveOnomatopoeia(sessionToken, onomatopoeiaData) {
+        const result = await this.withRetry(
+            () => this.callFunction('save-response', { response: onomatopoeiaData }, sessionToken),
+            'Saving response'
+        );
+        return result.response;
+    }
 
-        return participantWithId;
+    // Saved responses are matched on the responseId the server gave them;
+    // `changes` only needs the fields being edited
+    async updateOnomatopoeia(sessionToken, responseId, changes) {
+        const result = await this.withRetry(
+            () => this.callFunction('update-response', { responseId, changes }, sessionToken),
+            'Updating response'
+        );
+        return result.response;
     }
 
-    // Onomatopoeia-specific operations
-    async loadOnomatopoeiaData(spreadsheetId, sheetName, participantId) {
-        const data = await this.getSheetData(spreadsheetId, sheetName);
-        const results = this.findRows(data, {
-            0: participantId // Participant ID is in column A (index 0)
-        });
+    async deleteOnomatopoeia(sessionToken, responseId) {
+        await this.withRetry(
+            () => this.callFunction('delete-response', { responseId }, sessionToken),
+            'Deleting response'
+        );
+    }
 
-        const onomatopoeiaMapping = {
-            participantId: 0,
-            participantName: 1,
-            video: 2,
-            movement: 3,
-            startTime: 4,
-            endTime: 5,
-            answeredTimestamp: 6,
-            hasAudio: 7,
-            audioFileName: 8,
-            emotion: 9
-        };
+    // One viewing's batch of video player events (videoTelemetry in sheet-info.json). The batch sent
+    // as the participant leaves the page goes with keepalive and is not retried
+    async saveVideoEvents(sessionToken, batch, { keepalive = false } = {}) {
+        const send = () => this.callFunction('save-video-events', { batch }, sessionToken, { keepalive });
+        return keepalive ? send() : this.withRetry(send, 'Saving video events');
+    }
 
-        return results.map(result => 
-            this.transformRowToObject(result.data, onomatopoeiaMapping)
+    // Video names from the SelectedVideos sheet, e.g. ["1.mp4", "2.mp4"]
+    async listVideos() {
+        const result = await this.withRetry(
+            () => this.callFunction('list-videos'),
+            'Listing videos'
         );
+        return result.videos;
     }
 
-    async saveOnomatopoeia(spreadsheetId, sheetName, onomatopoeiaData) {
-        const onomatopoeiaMapping = {
-            participantId: 0,
-            participantName: 1,
-            video: 2,
-            movement: 3,
-            startTime: 4,
-            endTime: 5,
-            answeredTimestamp: 6,
-            hasAudio: 7,
-            audioFileName: 8,
-            emotion: 9
-        };
+    // Researcher session: the passphrase is exchanged for an HttpOnly cookie that the admin
+    // functions check, so nothing needs to be kept in localStorage (error.code === 'PASSPHRASE_INVALID')
+    async loginResearcher(passphrase) {
+        return this.callFunction('researcher-login', { passphrase });
+    }
+
+    async logoutResearcher() {
+        return this.callFunction('researcher-logout');
+    }
 
-        const row = this.transformObjectToRow(onomatopoeiaData, onomatopoeiaMapping);
-        return await this.appendSheetData(spreadsheetId, sheetName, row);
+    // Researcher dashboard: { generatedAt, videos, participants, responses } without names or emails
+    // Fails with error.status 401 when the researcher session is missing or expired
+    async loadStudyProgress() {
+        return this.withRetry(
+            () => this.callFunction('study-progress'),
+            'Loading study progress'
+        );
     }
 }
 
@@ -5,9 +5,19 @@ import { uiManager } from './uiManager.js';
 import { googleSheetsService } from './googleSheetsService.js';
 
 // Main application logic for index.html
+// With consentVersion set in sheet-info.json, new participants agree to the consent form before the
+// profile form, and returning participants who agreed to an older version agree again before going on.
+// loginMode picks how participants identify themselves: email, an experimenter-issued access code,
+// or nothing at all (anonymous), in which case registration hands out a resume code.
+// Participants arriving from a recruitment panel (recruitment in sheet-info.json) skip the login
+// step: the panel ids in the query string identify them
 class IndexApp extends BaseApp {
     constructor() {
         super();
+        this.returningParticipant = null; // Looked up, waiting for their agreement to the current consent form
+        this.agreedConsentVersion = null; // Version a new participant agreed to, sent with the registration
+        this.pendingAccessCode = null; // Unused access code a new participant is registering with
+        this.recruitment = null; // { participantId, studyId, sessionId } from a recruitment panel link
         this.setupEventListeners();
     }
 
@@ -20,6 +30,71 @@ class IndexApp extends BaseApp {
     }
 
     async initializeSubclass() {
+        this.recruitment = this.readRecruitmentParams();
+        if (this.recruitment) {
+            await this.startFromRecruitment();
+        } else {
+            this.applyLoginMode();
+        }
+    }
+
+    // Panel ids from the query string, e.g. ?PROLIFIC_PID=...&STUDY_ID=...&SESSION_ID=...
+    // (parameter names from recruitment in sheet-info.json); null without a participant id
+    readRecruitmentParams() {
+        const recruitment = this.config?.recruitment;
+        if (!recruitment) return null;
+
+        const params = new URLSearchParams(window.location.search);
+        const participantId = params.get(recruitment.participantIdParam || 'PROLIFIC_PID');
+        if (!participantId) return null;
+
+        return {
+            participantId,
+            studyId: params.get(recruitment.studyIdParam || 'STUDY_ID') || '',
+            sessionId: params.get(recruitment.sessionIdParam || 'SESSION_ID') || ''
+        };
+    }
+
+    async startFromRecruitment() {
+        uiManager.updateVisibility(this.elements, {
+            emailForm: false,
+            codeForm: false,
+            anonymousStart: false
+        });
+
+        try {
+            const participantInfo = await googleSheetsService.findParticipantByRecruitment(this.recruitment);
+            await this.handleLookupResult(participantInfo);
+        } catch (error) {
+            const messageKey = error.code === 'INVALID_RECRUITMENT_ID' ? 'ui.error_recruitment_invalid' : 'ui.error_checking';
+            uiManager.showError(this.elements.messageDisplay, langManager.getText(messageKey));
+            console.error("Error:", error);
+        }
+    }
+
+    getLoginMode() {
+        return this.config?.loginMode || 'email';
+    }
+
+    // Only the email login mode asks for an email; panel participants are known by their panel id
+    usesEmail() {
+        return !this.recruitment && this.getLoginMode() === 'email';
+    }
+
+    // Show the login step of the configured mode
+    applyLoginMode() {
+        const loginMode = this.getLoginMode();
+        uiManager.updateVisibility(this.elements, {
+            emailForm: loginMode === 'email',
+            codeForm: loginMode !== 'email',
+            anonymousStart: loginMode === 'anonymous'
+        });
+
+        if (loginMode === 'anonymous' && this.elements.codeLabel) {
+            // The code form is only for coming back; data-lang keeps the label translated on language switches
+            this.elements.codeLabel.setAttribute('data-lang', 'ui.resume_code_label');
+            this.elements.codeLabel.textContent = langManager.getText('ui.resume_code_label');
+        }
     }
 
     getParticipantDisplayKey() {
@@ -35,11 +110,34 @@ class IndexApp extends BaseApp {
             this.elements.emailForm.addEventListener("submit", this.handleEmailSubmit.bind(this));
         }
 
+        // Code form submission (access-code and anonymous modes)
+        if (this.elements.codeForm) {
+            this.elements.codeForm.addEventListener("submit", this.handleCodeSubmit.bind(this));
+        }
+
+        if (this.elements.newParticipantButton) {
+            this.elements.newParticipantButton.addEventListener("click", this.handleNewParticipant.bind(this));
+        }
+
+        if (this.elements.resumeCodeContinueButton) {
+            this.elements.resumeCodeContinueButton.addEventListener("click", () => {
+                window.location.href = "survey.html";
+            });
+        }
+
         // Participant form submission
         if (this.elements.participantForm) {
             this.elements.participantForm.addEventListener("submit", this.handleParticipantSubmit.bind(this));
         }
 
+        // Consent step
+        if (this.elements.consentAgreeButton) {
+            this.elements.consentAgreeButton.addEventListener("click", this.handleConsentAgree.bind(this));
+        }
+        if (this.elements.consentDeclineButton) {
+            this.elements.consentDeclineButton.addEventListener("click", this.handleConsentDecline.bind(this));
+        }
+
         // Native language dropdown change
         if (this.elements.nativeLanguageInput) {
             this.elements.nativeLanguageInput.addEventListener("change", this.handleLanguageChange.bind(this));
@@ -67,32 +165,8 @@ class IndexApp extends BaseApp {
                     uiManager.clearMessage(this.elements.messageDisplay);
 
                     // Check if participant exists
-                    const existingParticipantInfo = await googleSheetsService.findParticipantByEmail(
-                        this.config.spreadsheetId, 
-                        this.config.ParticipantSheet, 
-                        email
-                    );
-
-                    if (existingParticipantInfo) {
-                        // Returning participant - go directly to survey
-                        localStorage.setItem("participantInfo", JSON.stringify(existingParticipantInfo));
-
-                        // Get their existing data
-                        const filteredData = await googleSheetsService.loadOnomatopoeiaData(
-                            this.config.spreadsheetId, 
-                            this.config.OnomatopoeiaSheet, 
-                            existingParticipantInfo.participantId
-                        );
-                        localStorage.setItem("filteredData", JSON.stringify(filteredData));
-                        
-                        // Redirect to survey
-                        window.location.href = "survey.html";
-                    } else {
-                        // New participant - show intro section and registration form
-                        this.elements.introSection.style.display = "block";
-                        this.elements.participantForm.style.display = "block";
-                        uiManager.showSuccess(this.elements.messageDisplay, langManager.getText('ui.welcome_message'));
-                    }
+                    const existingParticipantInfo = await googleSheetsService.findParticipantByEmail(email);
+                    await this.handleLookupResult(existingParticipantInfo);
                 },
                 langManager.getText('ui.checking_participant') || 'Checking participant...'
             );
@@ -103,6 +177,143 @@ class IndexApp extends BaseApp {
         }
     }
 
+    async handleCodeSubmit(event) {
+        event.preventDefault();
+
+        const code = ValidationUtils.sanitizeInput(this.elements.accessCodeInput.value);
+        if (!ValidationUtils.isRequired(code)) {
+            uiManager.showError(this.elements.messageDisplay, langManager.getText('ui.error_code_required'));
+            return;
+        }
+
+        try {
+            const submitButton = event.target.querySelector('button[type="submit"]');
+
+            await this.submitWithLoading(
+                submitButton,
+                async () => {
+                    uiManager.clearMessage(this.elements.messageDisplay);
+
+                    const participantInfo = await googleSheetsService.findParticipantByCode(code);
+                    // An issued code nobody has used yet registers a new participant
+                    this.pendingAccessCode = participantInfo ? null : code;
+                    await this.handleLookupResult(participantInfo);
+                },
+                langManager.getText('ui.checking_participant') || 'Checking participant...'
+            );
+
+        } catch (error) {
+            const messageKey = error.code === 'ACCESS_CODE_INVALID' ? 'ui.error_invalid_code' : 'ui.error_checking';
+            uiManager.showError(this.elements.messageDisplay, langManager.getText(messageKey));
+            console.error("Error:", error);
+        }
+    }
+
+    // Anonymous mode: register without an email or code
+    async handleNewParticipant() {
+        uiManager.clearMessage(this.elements.messageDisplay);
+        this.pendingAccessCode = null;
+        await this.handleLookupResult(null);
+    }
+
+    // Continue from the login step with the participant found, or null for a new participant
+    async handleLookupResult(participantInfo) {
+        this.returningParticipant = null;
+
+        if (participantInfo && this.needsConsent(participantInfo)) {
+            // Returning participant who agreed to an older consent form - ask again first
+            this.returningParticipant = participantInfo;
+            this.showConsent(true);
+        } else if (participantInfo) {
+            // Returning participant - go directly to survey
+            await this.continueAsReturningParticipant(participantInfo);
+        } else {
+            // New participant - show intro section, then consent and registration form
+            this.elements.introSection.style.display = "block";
+            if (this.config?.consentVersion) {
+                this.showConsent(false);
+            } else {
+                this.elements.participantForm.style.display = "block";
+            }
+            uiManager.showSuccess(this.elements.messageDisplay, langManager.getText('ui.welcome_message'));
+        }
+    }
+
+    // Store the participant, fetch their responses and go to the survey
+    async continueAsReturningParticipant(participantInfo) {
+        localStorage.setItem("participantInfo", JSON.stringify(participantInfo));
+
+        // Get their existing data
+        const filteredData = await googleSheetsService.loadOnomatopoeiaData(participantInfo.sessionToken);
+        localStorage.setItem("filteredData", JSON.stringify(filteredData));
+
+        // Redirect to survey
+        window.location.href = "survey.html";
+    }
+
+    needsConsent(participantInfo) {
+        return Boolean(this.config?.consentVersion) && participantInfo.consentVersion !== this.config.consentVersion;
+    }
+
+    showConsent(isUpdate) {
+        this.agreedConsentVersion = null;
+        this.elements.consentCheckbox.checked = false;
+        this.elements.consentVersionDisplay.textContent = this.config.consentVersion;
+        uiManager.updateVisibility(this.elements, {
+            consentSection: true,
+            consentUpdatedNotice: isUpdate,
+            consentEmailPoints: this.usesEmail(),
+            participantForm: false
+        });
+    }
+
+    async handleConsentAgree(event) {
+        if (!this.elements.consentCheckbox.checked) {
+            uiManager.showError(this.elements.messageDisplay, langManager.getText('consent.error_not_checked'));
+            return;
+        }
+        uiManager.clearMessage(this.elements.messageDisplay);
+
+        if (!this.returningParticipant) {
+            // New participant - the agreement is stored with their registration
+            this.agreedConsentVersion = this.config.consentVersion;
+            this.elements.consentSection.style.display = "none";
+            this.elements.participantForm.style.display = "block";
+            return;
+        }
+
+        try {
+            await this.submitWithLoading(
+                event.currentTarget,
+                async () => {
+                    const participantInfo = await googleSheetsService.recordConsent(
+                        this.returningParticipant.sessionToken,
+                        this.config.consentVersion
+                    );
+                    // Keep what only the lookup returns (the participant's accessCode)
+                    await this.continueAsReturningParticipant({ ...this.returningParticipant, ...participantInfo });
+                },
+                langManager.getText('consent.saving')
+            );
+        } catch (error) {
+            const messageKey = error.code === 'CONSENT_REQUIRED' ? 'consent.error_outdated' : 'consent.error_recording';
+            uiManager.showError(this.elements.messageDisplay, langManager.getText(messageKey));
+            console.error("Error:", error);
+        }
+    }
+
+    handleConsentDecline() {
+        this.returningParticipant = null;
+        this.agreedConsentVersion = null;
+        this.pendingAccessCode = null;
+        uiManager.updateVisibility(this.elements, {
+            introSection: false,
+            consentSection: false,
+            participantForm: false
+        });
+        uiManager.showSuccess(this.elements.messageDisplay, langManager.getText('consent.declined_message'));
+    }
+
     async handleParticipantSubmit(event) {
         event.preventDefault();
         
@@ -116,16 +327,18 @@ class IndexApp extends BaseApp {
             await this.submitWithLoading(
                 submitButton,
                 async () => {
-                    // Save new participant
-                    const participantInfo = await googleSheetsService.saveNewParticipant(
-                        this.config.spreadsheetId, 
-                        this.config.ParticipantSheet, 
-                        formData
-                    );
+                    // Register new participant (ID is allocated server-side)
+                    const participantInfo = await googleSheetsService.registerParticipant(formData);
 
                     localStorage.setItem("participantInfo", JSON.stringify(participantInfo));
                     localStorage.setItem("filteredData", JSON.stringify([]));
 
+                    if (participantInfo.accessCode && this.getLoginMode() === 'anonymous') {
+                        // The resume code is the only way back in - show it before going on
+                        this.showResumeCode(participantInfo.accessCode);
+                        return;
+                    }
+
                     // New participants should go to tutorial first
                     // window.location.href = "tutorial.html";
                     window.location.href = "survey.html";
@@ -134,13 +347,59 @@ class IndexApp extends BaseApp {
             );
 
         } catch (error) {
+            if (error.code === 'EMAIL_REGISTERED') {
+                // Someone already registered with this email - send them back to the email step to log in
+                this.elements.introSection.style.display = "none";
+                this.elements.participantForm.style.display = "none";
+                uiManager.showError(this.elements.messageDisplay, langManager.getText('ui.error_email_registered'));
+                return;
+            }
+            if (error.code === 'ACCESS_CODE_USED' || error.code === 'ACCESS_CODE_INVALID') {
+                // The code was registered from elsewhere in the meantime - it now resumes that session
+                this.pendingAccessCode = null;
+                this.elements.introSection.style.display = "none";
+                this.elements.participantForm.style.display = "none";
+                const messageKey = error.code === 'ACCESS_CODE_USED' ? 'ui.error_code_used' : 'ui.error_invalid_code';
+                uiManager.showError(this.elements.messageDisplay, langManager.getText(messageKey));
+                return;
+            }
+            if (error.code === 'RECRUITMENT_ID_REGISTERED') {
+                // The same panel link was used to register in another tab - reloading resumes that session
+                this.elements.introSection.style.display = "none";
+                this.elements.participantForm.style.display = "none";
+                uiManager.showError(this.elements.messageDisplay, langManager.getText('ui.error_recruitment_registered'));
+                return;
+            }
+            if (error.code === 'CONSENT_REQUIRED') {
+                // The consent form changed after this page was loaded
+                uiManager.showError(this.elements.messageDisplay, langManager.getText('consent.error_outdated'));
+                return;
+            }
+            if (error.code === 'QUOTAS_FILLED') {
+                // Every video already has the responses the study needs
+                uiManager.showError(this.elements.messageDisplay, langManager.getText('ui.error_quotas_filled'));
+                return;
+            }
             uiManager.showError(this.elements.messageDisplay, langManager.getText('ui.error_creating'));
             console.error("Error:", error);
         }
     }
 
+    showResumeCode(accessCode) {
+        this.elements.resumeCodeDisplay.textContent = accessCode;
+        uiManager.updateVisibility(this.elements, {
+            codeForm: false,
+            anonymousStart: false,
+            introSection: false,
+            participantForm: false,
+            resumeCodeSection: true
+        });
+        uiManager.clearMessage(this.elements.messageDisplay);
+    }
+
     validateAndCollectFormData() {
-        const email = ValidationUtils.sanitizeInput(this.elements.emailInput.value);
+        const usesEmail = this.usesEmail();
+        const email = usesEmail ? ValidationUtils.sanitizeInput(this.elements.emailInput.value) : '';
         const name = ValidationUtils.sanitizeInput(this.elements.nameInput.value);
         const age = ValidationUtils.sanitizeInput(this.elements.ageInput.value);
         const gender = this.elements.genderInput.value;
@@ -151,7 +410,7 @@ class IndexApp extends BaseApp {
         const finalNativeLanguage = nativeLanguage === 'Other' ? otherLanguage : nativeLanguage;
 
         // Validate required fields
-        if (!ValidationUtils.isValidEmail(email)) {
+        if (usesEmail && !ValidationUtils.isValidEmail(email)) {
             uiManager.showError(this.elements.messageDisplay, langManager.getText('ui.error_invalid_email'));
             return null;
         }
@@ -187,7 +446,10 @@ class IndexApp extends BaseApp {
             name,
             age: parseInt(age),
             gender,
-            nativeLanguage: finalNativeLanguage
+            nativeLanguage: finalNativeLanguage,
+            consentVersion: this.agreedConsentVersion,
+            accessCode: this.pendingAccessCode,
+            recruitment: this.recruitment
         };
     }
 
@@ -278,6 +278,7 @@ class LoadingManager {
             type,
             container,
             button,
+            message,
             startTime: Date.now()
         });
 
@@ -364,6 +365,36 @@ class LoadingManager {
         }
     }
 
+    /**
+     * Show byte-level progress on an active loading state (button and overlay types)
+     * @param {string} componentId - Component identifier
+     * @param {number} loaded - Bytes done so far
+     * @param {number} total - Total bytes
+     */
+    updateProgress(componentId, loaded, total) {
+        const loadingState = this.loadingStates.get(componentId);
+        if (!loadingState || !total) return;
+
+        const percent = Math.min(100, Math.floor((loaded / total) * 100));
+        const text = `${loadingState.message} ${percent}%`;
+
+        switch (loadingState.type) {
+            case 'button':
+                if (loadingState.button) {
+                    loadingState.button.textContent = text;
+                }
+                break;
+
+            case 'overlay': {
+                const overlayText = loadingState.container?.querySelector('.loading-overlay-text');
+                if (overlayText) {
+                    overlayText.textContent = text;
+                }
+                break;
+            }
+        }
+    }
+
     /**
      * Check if component is loading
      * @param {string} componentId - Component identifier
@@ -0,0 +1,183 @@
+// Save Queue
+// Persistent outbox for survey responses. Every response (with its audio blob) is written
+// to IndexedDB before it is sent and replayed in order until the server accepts it, so a
+// dropped connection or a page reload never loses a participant's answer.
+
+const DB_NAME = 'mvt-description';
+const DB_VERSION = 1;
+const STORE_NAME = 'outbox';
+const REPLAY_INTERVAL = 30000; // Retry a stalled queue every 30 seconds
+
+// Server refusals that will fail the same way on every replay; a missing consent is given
+// on index.html, after which the queued entries go through
+function isPermanentFailure(error) {
+    return error.status >= 400 && error.status < 500 && ![401, 408, 429].includes(error.status) &&
+        error.code !== 'CONSENT_REQUIRED';
+}
+
+class SaveQueue {
+    constructor() {
+        this.dbPromise = null;
+        this.memoryEntries = null; // Used instead of IndexedDB when it is unavailable
+        this.nextMemoryId = 1;
+        this.flushPromise = null;
+        this.flushRequested = false;
+        this.replayTimer = null;
+
+        // Sends one entry; set by the app that owns the queue
+        this.sender = null;
+
+        // Callbacks for UI management
+        this.onChange = null;   // (pendingCount) => void
+        this.onSent = null;     // (entry, result) => void
+        this.onRejected = null; // (entry, error) => void
+
+        window.addEventListener('online', () => this.flush());
+    }
+
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not supported'));
+                    return;
+                }
+
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                console.warn('Save queue falling back to memory (entries will not survive a reload):', error);
+                this.memoryEntries = this.memoryEntries || [];
+                return null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Run one request against the outbox store and resolve once its transaction commits
+    async withStore(mode, makeRequest) {
+        const db = await this.openDatabase();
+        if (!db) {
+            return null;
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = makeRequest(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Persist an entry for sending
+     * @param {Object} entry - { sessionToken, response, audioBlob }
+     * @returns {Promise<number>} - Queue id (ascending in enqueue order)
+     */
+    async enqueue(entry) {
+        const record = { ...entry, queuedAt: new Date().toISOString() };
+        let id = await this.withStore('readwrite', store => store.add(record));
+
+        if (this.memoryEntries) {
+            id = this.nextMemoryId++;
+            this.memoryEntries.push({ ...record, id });
+        }
+
+        await this.notifyChange();
+        return id;
+    }
+
+    // Persist changes to a queued entry (e.g. upload progress to resume from)
+    async update(entry) {
+        await this.withStore('readwrite', store => store.put(entry));
+        if (this.memoryEntries) {
+            this.memoryEntries = this.memoryEntries.map(candidate => candidate.id === entry.id ? entry : candidate);
+        }
+    }
+
+    async getAll() {
+        const entries = await this.withStore('readonly', store => store.getAll());
+        return (this.memoryEntries || entries || []).slice().sort((a, b) => a.id - b.id);
+    }
+
+    async remove(id) {
+        await this.withStore('readwrite', store => store.delete(id));
+        if (this.memoryEntries) {
+            this.memoryEntries = this.memoryEntries.filter(entry => entry.id !== id);
+        }
+    }
+
+    async count() {
+        const entries = await this.getAll();
+        return entries.length;
+    }
+
+    async notifyChange() {
+        if (this.onChange) {
+            this.onChange(await this.count());
+        }
+    }
+
+    // Send queued entries oldest first; calls made while a replay runs are folded into it
+    flush() {
+        this.flushRequested = true;
+
+        if (!this.flushPromise) {
+            this.flushPromise = (async () => {
+                while (this.flushRequested && this.sender) {
+                    this.flushRequested = false;
+                    if (!(await this.replay())) {
+                        break;
+                    }
+                }
+            })().finally(() => {
+                this.flushPromise = null;
+            });
+        }
+        return this.flushPromise;
+    }
+
+    // Returns false when an entry could not be sent and the rest of the queue has to wait
+    async replay() {
+        clearTimeout(this.replayTimer);
+        let completed = true;
+
+        for (const entry of await this.getAll()) {
+            try {
+                const result = await this.sender(entry);
+                await this.remove(entry.id);
+                if (this.onSent) {
+                    this.onSent(entry, result);
+                }
+            } catch (error) {
+                if (isPermanentFailure(error)) {
+                    console.error('Save queue dropping an entry the server rejected:', error);
+                    await this.remove(entry.id);
+                    if (this.onRejected) {
+                        this.onRejected(entry, error);
+                    }
+                    continue;
+                }
+
+                // Keep the order: later entries wait until this one goes through
+                console.warn('Save queue paused, will retry:', error.message);
+                this.replayTimer = setTimeout(() => this.flush(), REPLAY_INTERVAL);
+                completed = false;
+                break;
+            }
+        }
+
+        await this.notifyChange();
+        return completed;
+    }
+}
+
+// Create singleton instance
+const saveQueue = new SaveQueue();
+
+export { SaveQueue, saveQueue };
@@ -0,0 +1,471 @@
+// Segment Timeline
+// Timeline under the survey video for marking the segment an onomatopoeia describes: drag across
+// the track to select a range, drag or arrow-key the handles (one frame per press, ten with Shift),
+// nudge them with the frame buttons, and preview the range on a loop. Positions are snapped to
+// frames through FrameCapture, so the selection is exactly what gets saved; the app shows it in
+// startDisplay/endDisplay through `onChange`. Segments already saved for the video are drawn above
+// the track as labelled bands, overlapping ones stacked in lanes; clicking a band loops it.
+// The playback row below slows the video down, steps it frame by frame and loops an A–B region,
+// which stays on across pauses until switched off; a preview takes over from it while it plays
+
+// Pointer travel before a press on the track becomes a drag instead of a seek
+const DRAG_THRESHOLD_PX = 4;
+const SHIFT_NUDGE_FRAMES = 10;
+const SEGMENT_LANE_HEIGHT_REM = 1.5;
+const SELECTION_PREVIEW = 'selection'; // previewKey while the selection loops
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+class SegmentTimeline {
+    constructor(elements, videoPlayer, frameCapture) {
+        // { track, range, startHandle, endHandle, playhead, previewButton, clearButton, nudgeButtons, segments,
+        //   rateSelect, stepButtons, loopRegion, loopPointButtons, loopButton, loopClearButton }
+        this.elements = elements;
+        this.videoPlayer = videoPlayer;
+        this.frameCapture = frameCapture;
+        this.selection = { start: null, end: null }; // { time, frame } positions, or null while unset
+        this.savedSegments = [];  // { key, label, start, end, editing } drawn as bands
+        this.segmentBands = [];   // { key, element } of the drawn bands
+        this.drag = null;
+        this.previewKey = null;   // What is looping: SELECTION_PREVIEW or a saved segment's key
+        this.previewRange = null; // { start, end } of that preview
+        this.loopRegion = { start: null, end: null }; // A–B region, set from the frame on screen
+        this.loopEnabled = false;
+        this.loopFrameId = null;
+
+        // Called with the selection whenever the participant changes it: ({ start, end }) => void
+        this.onChange = null;
+
+        this.setupEventListeners();
+        this.render();
+    }
+
+    get previewing() {
+        return this.previewKey !== null;
+    }
+
+    // Range playing on a loop: the preview, else the A–B region while its loop is on
+    get activeLoop() {
+        if (this.previewRange) return this.previewRange;
+        return this.loopEnabled ? this.loopRegion : null;
+    }
+
+    get duration() {
+        const duration = this.videoPlayer.duration;
+        return Number.isFinite(duration) ? duration : 0;
+    }
+
+    setupEventListeners() {
+        const {
+            track, startHandle, endHandle, previewButton, clearButton, nudgeButtons,
+            rateSelect, stepButtons, loopPointButtons, loopButton, loopClearButton
+        } = this.elements;
+
+        track.addEventListener('pointerdown', this.handlePointerDown.bind(this));
+        track.addEventListener('pointermove', this.handlePointerMove.bind(this));
+        track.addEventListener('pointerup', this.handlePointerUp.bind(this));
+        track.addEventListener('pointercancel', () => {
+            this.drag = null;
+        });
+
+        [startHandle, endHandle].forEach(handle => {
+            handle.addEventListener('keydown', (event) => {
+                const direction = { ArrowLeft: -1, ArrowRight: 1 }[event.key];
+                if (!direction) return;
+                event.preventDefault();
+                this.nudge(handle.dataset.bound, direction * (event.shiftKey ? SHIFT_NUDGE_FRAMES : 1));
+            });
+        });
+
+        nudgeButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.nudge(button.dataset.bound, parseInt(button.dataset.step));
+            });
+        });
+
+        previewButton?.addEventListener('click', () => {
+            if (this.previewKey === SELECTION_PREVIEW) {
+                this.stopPreview();
+            } else {
+                this.startPreview(this.selection, SELECTION_PREVIEW);
+            }
+        });
+        clearButton?.addEventListener('click', () => {
+            this.setSelection({ start: null, end: null }, { notify: true });
+        });
+
+        // Loading a new source resets playbackRate to defaultPlaybackRate, so the chosen rate carries over
+        rateSelect?.addEventListener('change', () => {
+            const rate = parseFloat(rateSelect.value);
+            this.videoPlayer.defaultPlaybackRate = rate;
+            this.videoPlayer.playbackRate = rate;
+        });
+        stepButtons?.forEach(button => {
+            button.addEventListener('click', () => this.step(parseInt(button.dataset.step)));
+        });
+        loopPointButtons?.forEach(button => {
+            button.addEventListener('click', () => this.setLoopPoint(button.dataset.bound));
+        });
+        loopButton?.addEventListener('click', () => this.toggleLoop());
+        loopClearButton?.addEventListener('click', () => this.clearLoop());
+
+        ['loadedmetadata', 'durationchange', 'timeupdate', 'seeked'].forEach(type => {
+            this.videoPlayer.addEventListener(type, () => this.render());
+        });
+        ['loadedmetadata', 'durationchange'].forEach(type => {
+            this.videoPlayer.addEventListener(type, () => this.renderSegments());
+        });
+        this.videoPlayer.addEventListener('ratechange', () => {
+            if (rateSelect) {
+                rateSelect.value = String(this.videoPlayer.playbackRate);
+            }
+        });
+        // Pausing or switching videos ends a preview; the A–B loop resumes with playback
+        this.videoPlayer.addEventListener('pause', () => this.stopPreview(false));
+        this.videoPlayer.addEventListener('play', () => this.watchLoop());
+        this.videoPlayer.addEventListener('emptied', () => {
+            this.stopPreview(false);
+            this.clearLoop();
+        });
+    }
+
+    // Position of the frame under the pointer
+    positionAt(event) {
+        const rect = this.elements.track.getBoundingClientRect();
+        const ratio = clamp((event.clientX - rect.left) / rect.width, 0, 1);
+        return this.frameCapture.at(ratio * this.duration);
+    }
+
+    handlePointerDown(event) {
+        if (!this.duration || event.button !== 0) return;
+
+        event.preventDefault();
+        this.stopPreview();
+        this.elements.track.setPointerCapture(event.pointerId);
+        const bound = event.target.dataset?.bound;
+        if (bound) {
+            // Dragging a handle moves that end of the selection
+            event.target.focus();
+            this.drag = { bound };
+        } else {
+            // On the bare track: a click seeks, a drag selects a new range from where it started
+            this.drag = { anchor: this.positionAt(event), startX: event.clientX, selecting: false };
+        }
+    }
+
+    handlePointerMove(event) {
+        if (!this.drag) return;
+
+        const position = this.positionAt(event);
+        if (this.drag.bound) {
+            this.setBound(this.drag.bound, position);
+        } else {
+            if (!this.drag.selecting && Math.abs(event.clientX - this.drag.startX) < DRAG_THRESHOLD_PX) return;
+            this.drag.selecting = true;
+            const [start, end] = [this.drag.anchor, position].sort((a, b) => a.time - b.time);
+            this.setSelection({ start, end }, { notify: true });
+        }
+        this.seekTo(position);
+    }
+
+    handlePointerUp(event) {
+        if (this.drag && !this.drag.bound && !this.drag.selecting) {
+            this.seekTo(this.positionAt(event));
+        }
+        this.drag = null;
+    }
+
+    // Move one end; it cannot pass the other end
+    setBound(bound, position) {
+        const other = this.selection[bound === 'start' ? 'end' : 'start'];
+        let clamped = position;
+        if (other && (bound === 'start' ? position.time > other.time : position.time < other.time)) {
+            clamped = other;
+        }
+        this.setSelection({ ...this.selection, [bound]: clamped }, { notify: true });
+    }
+
+    // Position whole frames away from another, kept inside the video
+    offsetPosition(position, frames) {
+        const { frameRate, frameDuration } = this.frameCapture;
+        return frameRate && Number.isInteger(position.frame)
+            ? this.frameCapture.atFrame(clamp(position.frame + frames, 0, Math.ceil(this.duration * frameRate) - 1))
+            : this.frameCapture.at(clamp(position.time + frames * frameDuration, 0, this.duration));
+    }
+
+    // Move one end by whole frames and show the frame it lands on
+    nudge(bound, frames) {
+        if (!this.duration) return;
+
+        const position = this.offsetPosition(this.selection[bound] || this.frameCapture.capture(), frames);
+        this.stopPreview();
+        this.setBound(bound, position);
+        this.seekTo(position);
+    }
+
+    // Pause and move the video by whole frames
+    step(frames) {
+        if (!this.duration) return;
+
+        this.stopPreview();
+        if (!this.videoPlayer.paused) {
+            this.videoPlayer.pause();
+        }
+        // Counted from currentTime rather than the presented frame, so quick clicks each move on a frame
+        // before the previous one has been painted
+        this.seekTo(this.offsetPosition(this.frameCapture.at(this.videoPlayer.currentTime), frames));
+    }
+
+    // The frame on screen becomes one end of the A–B region; the ends are swapped if they cross
+    setLoopPoint(bound) {
+        if (!this.duration) return;
+
+        const region = { ...this.loopRegion, [bound]: this.frameCapture.capture() };
+        if (region.start && region.end && region.end.time < region.start.time) {
+            [region.start, region.end] = [region.end, region.start];
+        }
+        this.loopRegion = region;
+        if (!this.isLoopable(region)) {
+            this.loopEnabled = false;
+        }
+        this.render();
+    }
+
+    // Switch the A–B loop on (from A when the video is outside the region) or off
+    toggleLoop() {
+        if (this.loopEnabled) {
+            this.loopEnabled = false;
+            this.render();
+            return;
+        }
+        if (!this.isLoopable(this.loopRegion)) return;
+
+        this.stopPreview(false);
+        this.loopEnabled = true;
+        const time = this.videoPlayer.currentTime;
+        if (time < this.loopRegion.start.time || time >= this.loopEndTime(this.loopRegion)) {
+            this.seekTo(this.loopRegion.start);
+        }
+        this.videoPlayer.play().catch(() => {});
+        this.watchLoop();
+        this.render();
+    }
+
+    clearLoop() {
+        this.loopEnabled = false;
+        this.loopRegion = { start: null, end: null };
+        this.render();
+    }
+
+    isLoopable(range) {
+        return Boolean(range.start && range.end && range.end.time > range.start.time);
+    }
+
+    // Where a looping range jumps back: just after its last frame. A range running to the last frame
+    // of the video loops just before the end, where the player would pause
+    loopEndTime(range) {
+        const { frameDuration } = this.frameCapture;
+        return Math.min(range.end.time + frameDuration, this.duration - frameDuration / 2);
+    }
+
+    // Checked every animation frame while a loop plays: timeupdate comes too rarely to stop on the end frame
+    watchLoop() {
+        if (this.loopFrameId !== null) return;
+
+        const tick = () => {
+            const range = this.activeLoop;
+            if (!range || this.videoPlayer.paused) {
+                this.loopFrameId = null;
+                return;
+            }
+            if (this.videoPlayer.currentTime >= this.loopEndTime(range)) {
+                this.seekTo(range.start);
+            }
+            this.render();
+            this.loopFrameId = requestAnimationFrame(tick);
+        };
+        this.loopFrameId = requestAnimationFrame(tick);
+    }
+
+    // Seek to the middle of a frame, so the player shows that frame and not its neighbour
+    seekTo(position) {
+        const target = Number.isInteger(position.frame) ? position.time + this.frameCapture.frameDuration / 2 : position.time;
+        this.videoPlayer.currentTime = Math.min(target, this.duration);
+    }
+
+    /**
+     * Replace the selection
+     * @param {Object} selection - { start, end } positions; left-out ends keep their value
+     * @param {Object} options - { notify } calls onChange (for changes the participant made here)
+     */
+    setSelection(selection, { notify = false } = {}) {
+        this.selection = { ...this.selection, ...selection };
+        if (this.previewKey === SELECTION_PREVIEW && (!this.selection.start || !this.selection.end)) {
+            this.stopPreview();
+        }
+        this.render();
+        if (notify && this.onChange) {
+            this.onChange({ ...this.selection });
+        }
+    }
+
+    clear() {
+        this.stopPreview(false);
+        this.setSelection({ start: null, end: null });
+    }
+
+    /**
+     * Show the segments saved for the current video
+     * @param {Array<Object>} segments - { key, label, start, end, editing } with start/end as
+     *   { time, frame } positions; the key identifies the band while it loops
+     */
+    setSavedSegments(segments) {
+        if (this.previewKey !== null && this.previewKey !== SELECTION_PREVIEW &&
+            !segments.some(segment => segment.key === this.previewKey)) {
+            this.stopPreview();
+        }
+        this.savedSegments = segments;
+        this.renderSegments();
+    }
+
+    // Seek to a saved segment and loop it; clicking the band again stops the loop
+    toggleSegmentLoop(segment) {
+        if (this.previewKey === segment.key) {
+            this.stopPreview();
+        } else if (this.isLoopable(segment)) {
+            this.startPreview(segment, segment.key);
+        } else {
+            this.stopPreview();
+            this.seekTo(segment.start);
+        }
+    }
+
+    /**
+     * Play a range over and over until the participant stops it or pauses the video
+     * @param {Object} range - { start, end } positions
+     * @param {string} key - SELECTION_PREVIEW or the key of the saved segment
+     */
+    startPreview(range, key) {
+        if (!this.isLoopable(range)) return;
+
+        this.stopPreview(false);
+        this.previewKey = key;
+        this.previewRange = { start: range.start, end: range.end };
+        this.seekTo(range.start);
+        this.videoPlayer.play().catch(() => this.stopPreview(false));
+        this.watchLoop();
+        this.render();
+    }
+
+    stopPreview(pause = true) {
+        if (!this.previewing) return;
+
+        this.previewKey = null;
+        this.previewRange = null;
+        if (pause && !this.videoPlayer.paused) {
+            this.videoPlayer.pause();
+        }
+        this.render();
+    }
+
+    render() {
+        const { range, startHandle, endHandle, playhead, previewButton, clearButton, loopRegion, loopButton, loopClearButton } = this.elements;
+        const duration = this.duration;
+        const percent = (time) => `${duration ? Math.min(time / duration, 1) * 100 : 0}%`;
+        const { start, end } = this.selection;
+
+        playhead.style.left = percent(this.videoPlayer.currentTime || 0);
+
+        [[startHandle, start], [endHandle, end]].forEach(([handle, position]) => {
+            handle.style.display = position ? 'block' : 'none';
+            if (position) {
+                handle.style.left = percent(position.time);
+                handle.setAttribute('aria-valuenow', position.time);
+            }
+            handle.setAttribute('aria-valuemax', duration);
+        });
+
+        range.style.display = start && end ? 'block' : 'none';
+        if (start && end) {
+            range.style.left = percent(start.time);
+            range.style.width = `calc(${percent(end.time)} - ${percent(start.time)})`;
+        }
+
+        // A lone A point shows as a thin marker until B is set
+        if (loopRegion) {
+            const { start: loopStart, end: loopEnd } = this.loopRegion;
+            const first = loopStart || loopEnd;
+            loopRegion.style.display = first ? 'block' : 'none';
+            loopRegion.classList.toggle('active', this.loopEnabled);
+            if (first) {
+                loopRegion.style.left = percent(first.time);
+                loopRegion.style.width = loopStart && loopEnd ? `calc(${percent(loopEnd.time)} - ${percent(loopStart.time)})` : '0';
+            }
+        }
+        if (loopButton) {
+            loopButton.disabled = !this.isLoopable(this.loopRegion);
+            loopButton.classList.toggle('active', this.loopEnabled);
+            loopButton.setAttribute('aria-pressed', String(this.loopEnabled));
+        }
+        if (loopClearButton) {
+            loopClearButton.disabled = !this.loopRegion.start && !this.loopRegion.end;
+        }
+
+        if (previewButton) {
+            previewButton.disabled = !this.isLoopable(this.selection);
+            previewButton.classList.toggle('active', this.previewKey === SELECTION_PREVIEW);
+            previewButton.setAttribute('aria-pressed', String(this.previewKey === SELECTION_PREVIEW));
+        }
+        if (clearButton) {
+            clearButton.disabled = !start && !end;
+        }
+        this.segmentBands.forEach(({ key, element }) => {
+            element.classList.toggle('active', this.previewKey === key);
+        });
+    }
+
+    // Lay the saved segments out in lanes: each goes in the first lane where it overlaps nothing
+    renderSegments() {
+        const container = this.elements.segments;
+        if (!container) return;
+
+        container.innerHTML = '';
+        this.segmentBands = [];
+        const duration = this.duration;
+        if (!duration || !this.savedSegments.length) {
+            container.style.height = '0';
+            return;
+        }
+
+        const laneEnds = [];
+        [...this.savedSegments]
+            .sort((a, b) => a.start.time - b.start.time || a.end.time - b.end.time)
+            .forEach(segment => {
+                let lane = laneEnds.findIndex(laneEnd => laneEnd <= segment.start.time);
+                if (lane === -1) {
+                    lane = laneEnds.length;
+                }
+                laneEnds[lane] = segment.end.time;
+
+                const band = document.createElement('button');
+                band.type = 'button';
+                band.className = 'timeline-segment';
+                band.classList.toggle('editing', Boolean(segment.editing));
+                band.style.left = `${Math.min(segment.start.time / duration, 1) * 100}%`;
+                band.style.width = `${Math.max(Math.min(segment.end.time, duration) - segment.start.time, 0) / duration * 100}%`;
+                band.style.top = `${lane * SEGMENT_LANE_HEIGHT_REM}rem`;
+                band.textContent = segment.label;
+                band.title = `${segment.label} (${segment.start.time.toFixed(3)} - ${segment.end.time.toFixed(3)})`;
+                band.addEventListener('click', () => this.toggleSegmentLoop(segment));
+
+                container.appendChild(band);
+                this.segmentBands.push({ key: segment.key, element: band });
+            });
+        container.style.height = `${laneEnds.length * SEGMENT_LANE_HEIGHT_REM}rem`;
+        this.render();
+    }
+}
+
+export { SegmentTimeline };
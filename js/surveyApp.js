@@ -1,11 +1,22 @@
 import { BaseApp } from './baseApp.js';
-import { DOMUtils, ValidationUtils, obtainDate } from './utils.js';
+import { DOMUtils, ValidationUtils, obtainDate, generateResponseId } from './utils.js';
 import { langManager } from './languageManager.js';
 import { uiManager } from './uiManager.js';
 import { googleSheetsService } from './googleSheetsService.js';
 import { audioRecordingService } from './audioRecordingService.js';
 import { uploadAudioFile } from './googleApi.js';
 import { modalManager } from './modalManager.js';
+import { saveQueue } from './saveQueue.js';
+import { trialKey } from './videoManager.js';
+import { VideoTelemetry } from './videoTelemetry.js';
+import { FrameCapture, formatCaptureTime } from './frameCapture.js';
+import { SegmentTimeline } from './segmentTimeline.js';
+import { EmotionTaxonomy } from './emotionTaxonomy.js';
+
+// Time the completion message stays up before a recruitment participant is sent back to the panel
+const COMPLETION_REDIRECT_DELAY = 3000;
+// Viewing conditions of a segment not marked yet, or saved before they were logged
+const NO_VIEWING_CONDITIONS = Object.freeze({ playbackRate: null, loopStart: null, loopEnd: null });
 
 // Main application logic for survey.html
 class SurveyApp extends BaseApp {
@@ -16,11 +27,24 @@ class SurveyApp extends BaseApp {
         // Initialize survey-specific properties after calling super()
         this.filteredData = [];
         this.currentVideoName = null;
+        this.currentCatchTrial = null; // Catch trial being shown (catchTrials in sheet-info.json), if any
+        this.currentTrialKey = null; // trialKey of the current button: saved responses are matched on it
         this.introExpanded = false; // Track introduction toggle state
         this.completionModalShown = false; // Prevent completion modal from showing multiple times per session
+        this.pendingSaveCount = 0; // Responses waiting in the save queue
+        this.editingEntry = null; // Saved response currently loaded into the form for editing
+        this.draftResponseId = generateResponseId(); // Id of the entry being filled in, kept across save retries
+        this.frameCapture = null; // Reads the frame on screen for the start/end buttons
+        this.capturedFrames = { start: null, end: null }; // Frame numbers behind startDisplay/endDisplay
+        this.viewingConditions = NO_VIEWING_CONDITIONS; // Rate and loop when the segment was last marked
+        this.segmentTimeline = null; // Drag-to-select timeline under the video
+        this.emotions = null; // Emotion taxonomy behind emotionSelect (emotions in sheet-info.json)
         
         // Initialize audio recording service
         this.initializeAudioService();
+
+        // Route saves through the persistent outbox
+        this.initializeSaveQueue();
     }
 
     initializeElements() {
@@ -44,6 +68,7 @@ class SurveyApp extends BaseApp {
             
             // Load filtered data from localStorage
             this.filteredData = JSON.parse(localStorage.getItem("filteredData")) || [];
+            await this.syncQueuedResponses();
             
             // Show video skeleton while loading
             const videoContainer = this.elements.videoPlayer?.parentElement;
@@ -54,10 +79,25 @@ class SurveyApp extends BaseApp {
                 this.onVideoChange.bind(this), // Called when video changes
                 this.onVideoLoad.bind(this)    // Called when videos are loaded
             );
+
+            // Log how each video is watched (videoTelemetry in sheet-info.json)
+            if (this.config?.videoTelemetry && this.videoManager) {
+                this.videoManager.telemetry = new VideoTelemetry(this.elements.videoPlayer);
+                this.videoManager.telemetry.onBatch = this.sendVideoEvents.bind(this);
+            }
+
+            // Start/end times come from the presented frame (videoFrameRate in sheet-info.json)
+            if (this.elements.videoPlayer) {
+                this.frameCapture = new FrameCapture(this.elements.videoPlayer, this.config?.videoFrameRate);
+            }
+            this.initializeSegmentTimeline();
+
+            this.emotions = new EmotionTaxonomy(this.config);
+            this.emotions.populateSelect(this.elements.emotionSelect);
             
             // Load videos using video manager with loading state
             await this.withLoading('video-loading', async () => {
-                await this.videoManager.loadVideos(this.config);
+                await this.videoManager.loadVideos(this.config, this.participantInfo.videoOrder);
             }, {
                 type: 'skeleton',
                 container: this.elements.videoButtons,
@@ -76,6 +116,9 @@ class SurveyApp extends BaseApp {
             // Initialize introduction content
             this.updateIntroductionContent();
 
+            // Send anything left in the save queue by an earlier visit
+            saveQueue.flush();
+
         } catch (error) {
             console.error('Failed to initialize survey app:', error);
             this.showError('Failed to initialize survey');
@@ -89,11 +132,21 @@ class SurveyApp extends BaseApp {
     onLanguageChange() {
         super.onLanguageChange(); // Call base class method
         this.updateAudioStatusText();
+        this.updateSaveQueueStatus();
         this.updateIntroductionContent();
+        this.updateEditModeDisplay();
+        this.emotions?.populateSelect(this.elements.emotionSelect);
+        this.refreshSavedEntries();
+    }
+
+    // Viewing logs are best effort: a batch that cannot be sent is dropped rather than queued with the responses
+    sendVideoEvents(batch, { unloading = false } = {}) {
+        googleSheetsService.saveVideoEvents(this.participantInfo.sessionToken, batch, { keepalive: unloading })
+            .catch(error => console.warn('Video events not saved:', error.message));
     }
 
     // Callback for when video changes (called by VideoManager)
-    onVideoChange(videoName, videoSrc) {
+    onVideoChange(videoName, videoSrc, catchTrial = null) {
         // Show loading overlay on video container during video change
         const videoContainer = this.elements.videoPlayer?.parentElement;
         if (videoContainer) {
@@ -101,6 +154,8 @@ class SurveyApp extends BaseApp {
         }
         
         this.currentVideoName = videoName;
+        this.currentCatchTrial = catchTrial;
+        this.currentTrialKey = trialKey(videoName, catchTrial);
         
         // Clear any existing messages when changing videos
         if (this.elements.messageDisplay) {
@@ -109,6 +164,9 @@ class SurveyApp extends BaseApp {
         
         // Reset audio recording state when changing videos
         audioRecordingService.deleteRecording();
+
+        // An edit in progress belongs to the previous video
+        this.exitEditMode();
         
         // Reset display for the new video
         this.resetDisplayForCurrentVideo();
@@ -127,6 +185,8 @@ class SurveyApp extends BaseApp {
         if (this.videoManager) {
             const currentVideo = this.videoManager.getCurrentVideo();
             this.currentVideoName = currentVideo.name;
+            this.currentCatchTrial = currentVideo.catchTrial;
+            this.currentTrialKey = trialKey(currentVideo.name, currentVideo.catchTrial);
         }
         
         // Reset display for initial video
@@ -141,6 +201,11 @@ class SurveyApp extends BaseApp {
         // Set up common event listeners from base class
         this.setupCommonEventListeners();
 
+        // An "other" emotion is named in a text field next to the select
+        if (this.elements.emotionSelect) {
+            this.elements.emotionSelect.addEventListener('change', this.updateEmotionOtherVisibility.bind(this));
+        }
+
         // Onomatopoeia flow buttons
         if (this.elements.hasOnomatopoeiaButtonYes) {
             this.elements.hasOnomatopoeiaButtonYes.addEventListener('click', this.showOnomatopoeiaInput.bind(this));
@@ -164,11 +229,38 @@ class SurveyApp extends BaseApp {
             this.elements.getEnd.addEventListener('click', this.captureEndTime.bind(this));
         }
 
+        // Keyboard shortcuts for the same capture: S for the start, E for the end (not while typing)
+        document.addEventListener('keydown', (event) => {
+            if (event.ctrlKey || event.metaKey || event.altKey || event.isComposing) return;
+            if (event.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+            const key = event.key.toLowerCase();
+            if (key === 's') {
+                this.captureStartTime();
+            } else if (key === 'e') {
+                this.captureEndTime();
+            } else if ((key === ',' || key === '.') && this.segmentTimeline) {
+                this.segmentTimeline.step(key === ',' ? -1 : 1);
+            } else {
+                return;
+            }
+            event.preventDefault();
+        });
+
         // Save button
         if (this.elements.saveOnomatopoeiaButton) {
             this.elements.saveOnomatopoeiaButton.addEventListener('click', this.handleSaveOnomatopoeia.bind(this));
         }
 
+        // Edit/delete buttons of saved entries (re-rendered on every change, so delegate)
+        if (this.elements.recordOnomatopoeia) {
+            this.elements.recordOnomatopoeia.addEventListener('click', this.handleSavedEntryAction.bind(this));
+        }
+
+        if (this.elements.cancelEdit) {
+            this.elements.cancelEdit.addEventListener('click', this.handleCancelEdit.bind(this));
+        }
+
         // Audio recording buttons
         this.setupAudioEventListeners();
     }
@@ -310,6 +402,7 @@ class SurveyApp extends BaseApp {
         const docElts = {
             onomatopoeiaInput: this.elements.onomatopoeiaInput,
             emotionSelect: this.elements.emotionSelect,
+            emotionOtherInput: this.elements.emotionOtherInput,
             startDisplay: this.elements.startDisplay,
             endDisplay: this.elements.endDisplay,
             recordOnomatopoeia: this.elements.recordOnomatopoeia,
@@ -318,7 +411,7 @@ class SurveyApp extends BaseApp {
             questionText: this.elements.questionText
         };
         
-        this.resetDisplay(this.currentVideoName, this.filteredData, docElts);
+        this.resetDisplay(this.currentTrialKey, this.filteredData, docElts);
         // Note: audio recording is now reset in onVideoChange to avoid stale state issues
     }
 
@@ -349,9 +442,10 @@ class SurveyApp extends BaseApp {
         if (currentButton) {
             try {
                 // Check if onomatopoeia has already been saved for this video
-                const currentVideoData = this.filteredData.filter(item => item["video"] === this.currentVideoName);
+                const currentVideoData = this.filteredData.filter(item => trialKey(item.video, item.catchTrial) === this.currentTrialKey);
                 if (!currentVideoData.length) {
                     const infoDict = {
+                        responseId: generateResponseId(),
                         participantId: this.participantInfo.participantId,
                         participantName: this.participantInfo.name || this.participantInfo.email,
                         video: this.currentVideoName,
@@ -360,14 +454,13 @@ class SurveyApp extends BaseApp {
                         endTime: "null",
                         answeredTimestamp: obtainDate(),
                         hasAudio: 0,
-                        emotion: ""
+                        emotion: "",
+                        catchTrial: this.currentCatchTrial || ""
                     };
 
                     await this.saveOnomatopoeia(
                         this.filteredData, 
                         infoDict, 
-                        this.config.spreadsheetId, 
-                        this.config.OnomatopoeiaSheet, 
                         this.elements.messageDisplay, 
                         false
                     );
@@ -381,48 +474,116 @@ class SurveyApp extends BaseApp {
         }
     }
 
-    captureStartTime() {
-        if (this.elements.videoPlayer && this.elements.startDisplay) {
-            this.elements.startDisplay.textContent = this.elements.videoPlayer.currentTime.toFixed(2);
+    initializeSegmentTimeline() {
+        if (!this.frameCapture || !this.elements.segmentTimeline) return;
+
+        this.segmentTimeline = new SegmentTimeline({
+            track: this.elements.timelineTrack,
+            range: this.elements.timelineRange,
+            startHandle: this.elements.timelineStartHandle,
+            endHandle: this.elements.timelineEndHandle,
+            playhead: this.elements.timelinePlayhead,
+            previewButton: this.elements.timelinePreview,
+            clearButton: this.elements.timelineClear,
+            segments: this.elements.timelineSegments,
+            nudgeButtons: this.elements.segmentTimeline.querySelectorAll('.timeline-nudge'),
+            rateSelect: this.elements.timelinePlaybackRate,
+            stepButtons: this.elements.segmentTimeline.querySelectorAll('.timeline-step'),
+            loopRegion: this.elements.timelineLoopRegion,
+            loopPointButtons: this.elements.segmentTimeline.querySelectorAll('.timeline-loop-point'),
+            loopButton: this.elements.timelineLoop,
+            loopClearButton: this.elements.timelineLoopClear
+        }, this.elements.videoPlayer, this.frameCapture);
+        this.segmentTimeline.onChange = ({ start, end }) => {
+            this.showSegmentBound('start', start);
+            this.showSegmentBound('end', end);
+        };
+    }
+
+    // Show one end of the segment in startDisplay/endDisplay; position is { time, frame } or null
+    showSegmentBound(bound, position) {
+        const display = bound === 'start' ? this.elements.startDisplay : this.elements.endDisplay;
+        if (display) {
+            display.textContent = position ? formatCaptureTime(position.time) : "-.--";
+        }
+        this.capturedFrames[bound] = position ? position.frame : null;
+        if (position) {
+            this.viewingConditions = this.currentViewingConditions();
         }
     }
 
+    // How the video is playing right now, logged with the response so analysts know what the participant saw
+    currentViewingConditions() {
+        const loop = this.segmentTimeline?.activeLoop;
+        return {
+            playbackRate: this.elements.videoPlayer?.playbackRate ?? null,
+            loopStart: loop ? loop.start.time : null,
+            loopEnd: loop ? loop.end.time : null
+        };
+    }
+
+    // The frame on screen becomes one end of the segment, on the timeline too
+    captureBound(bound) {
+        if (!this.frameCapture) return;
+
+        const position = this.frameCapture.capture();
+        this.showSegmentBound(bound, position);
+        this.segmentTimeline?.setSelection({ [bound]: position });
+    }
+
+    captureStartTime() {
+        this.captureBound('start');
+    }
+
     captureEndTime() {
-        if (this.elements.videoPlayer && this.elements.endDisplay) {
-            this.elements.endDisplay.textContent = this.elements.videoPlayer.currentTime.toFixed(2);
-        }
+        this.captureBound('end');
     }
 
     async handleSaveOnomatopoeia() {
+        if (this.editingEntry) {
+            await this.handleUpdateOnomatopoeia();
+            return;
+        }
+
         try {
             const audioState = audioRecordingService.getState();
             const infoDict = {
+                responseId: this.draftResponseId,
                 participantId: this.participantInfo.participantId,
                 participantName: this.participantInfo.name || this.participantInfo.email,
                 video: this.currentVideoName,
                 movement: this.elements.onomatopoeiaInput?.value?.trim() || "",
                 startTime: this.elements.startDisplay?.textContent || "-.--",
                 endTime: this.elements.endDisplay?.textContent || "-.--",
+                startFrame: this.capturedFrames.start,
+                endFrame: this.capturedFrames.end,
+                ...this.viewingConditions,
                 answeredTimestamp: obtainDate(),
                 hasAudio: audioState.hasRecording ? 1 : 0,
                 audioBlob: audioRecordingService.getRecordingBlob(),
-                emotion: this.elements.emotionSelect?.value || ""
+                emotion: this.elements.emotionSelect?.value || "",
+                emotionOther: this.readEmotionOther(),
+                catchTrial: this.currentCatchTrial || ""
             };
 
-            // Use submitWithLoading for form submission with loading state
-            await this.submitWithLoading(
-                this.elements.saveOnomatopoeiaButton,
-                async () => {
-                    await this.saveOnomatopoeia(
-                        this.filteredData,
-                        infoDict,
-                        this.config.spreadsheetId,
-                        this.config.OnomatopoeiaSheet,
-                        this.elements.message
-                    );
-                },
-                langManager.getText('survey.saving') || 'Saving...'
-            );
+            // Asked before the button turns to "Saving..."; an invalid entry is reported by saveOnomatopoeia
+            const validation = ValidationUtils.validateOnomatopoeiaData(infoDict, this.segmentRules());
+            if (validation.isValid && !this.confirmDistinctSegment(validation)) {
+                return;
+            }
+
+            // Button loading state; audio upload progress is reported on it as a percentage
+            await this.withLoading('save-response', async () => {
+                await this.saveOnomatopoeia(
+                    this.filteredData,
+                    infoDict,
+                    this.elements.message
+                );
+            }, {
+                type: 'button',
+                button: this.elements.saveOnomatopoeiaButton,
+                message: langManager.getText('survey.saving') || 'Saving...'
+            });
 
             this.resetDisplayForCurrentVideo();
             
@@ -515,10 +676,29 @@ class SurveyApp extends BaseApp {
     }
 
 
+    updateEmotionOtherVisibility() {
+        uiManager.updateVisibility(this.elements, {
+            emotionOtherInput: Boolean(this.emotions?.isOther(this.elements.emotionSelect?.value))
+        });
+    }
+
+    // The participant's own words for an "other" emotion; nothing for the listed ones
+    readEmotionOther() {
+        if (!this.emotions?.isOther(this.elements.emotionSelect?.value)) {
+            return "";
+        }
+        return this.elements.emotionOtherInput?.value?.trim() || "";
+    }
+
     // Survey-specific helper methods
-    resetDisplay(currentVideoName, filteredData, docElts) {
-        // Reset form inputs using uiManager
-        uiManager.resetForm(docElts, ['onomatopoeiaInput', 'emotionSelect', 'startDisplay', 'endDisplay']);
+    resetDisplay(currentTrialKey, filteredData, docElts) {
+        // Reset form inputs using uiManager; whatever is entered next is a new response
+        uiManager.resetForm(docElts, ['onomatopoeiaInput', 'emotionSelect', 'emotionOtherInput', 'startDisplay', 'endDisplay']);
+        this.updateEmotionOtherVisibility();
+        this.capturedFrames = { start: null, end: null };
+        this.viewingConditions = NO_VIEWING_CONDITIONS;
+        this.segmentTimeline?.clear();
+        this.draftResponseId = generateResponseId();
 
         // Clear messages
         if (this.elements.messageDisplay) {
@@ -527,26 +707,18 @@ class SurveyApp extends BaseApp {
 
         // Note: Audio recording reset is now handled in onVideoChange to prevent timing issues
 
-        let recordMessage = "";
-
         // Display existing movement data for current video
         const relevantData = filteredData.filter(item => 
-            item["video"] === currentVideoName && item["movement"] !== "null"
+            trialKey(item.video, item.catchTrial) === currentTrialKey && item["movement"] !== "null"
         );
 
         if (!relevantData.length) {
-            recordMessage = langManager.getText('survey.no_saved_onomatopoeia');
             // Show input fields immediately for videos with no descriptions
             uiManager.updateVisibility(docElts, {
                 buttonVisibility: false,
                 inputVisibility: true
             });
         } else {
-            relevantData.forEach(item => {
-                const audioIcon = item["hasAudio"] === 1 ? " 🎵" : "";
-                const emotionText = item["emotion"] ? ` (${item["emotion"]})` : "";
-                recordMessage += `-"${item["movement"]}"${audioIcon}${emotionText} from ${item["startTime"]} to ${item["endTime"]};<br>`;
-            });
             // Show question for videos with existing descriptions
             uiManager.updateVisibility(docElts, {
                 buttonVisibility: true,
@@ -555,10 +727,91 @@ class SurveyApp extends BaseApp {
         }
 
         // Update video button completion states using VideoManager
+        this.updateVideoButtonStates(filteredData);
+
+        this.renderSavedEntries(docElts.recordOnomatopoeia, relevantData);
+
+        if (docElts.questionText) {
+            // Use different text based on whether user has already provided onomatopoeia for this video
+            const hasExistingOnomatopoeia = relevantData.length > 0;
+            const questionKey = hasExistingOnomatopoeia ? 'survey.question_text_more' : 'survey.question_text';
+            docElts.questionText.textContent = langManager.getText(questionKey);
+        }
+
+        // Check if all videos are completed after updating button states
+        this.checkAndShowCompletionModal();
+    }
+
+    // One line per saved entry; entries still waiting in the save queue are marked with ⏳
+    formatSavedEntry(item) {
+        const audioIcon = item["hasAudio"] === 1 ? " 🎵" : "";
+        const pendingIcon = item["pending"] ? " ⏳" : "";
+        const emotionText = item["emotion"] ? ` (${this.emotions?.describe(item) || item["emotion"]})` : "";
+        return `-"${item["movement"]}"${audioIcon}${emotionText} from ${item["startTime"]} to ${item["endTime"]}${pendingIcon};`;
+    }
+
+    // List the saved entries with edit/delete buttons. Entries still in the save queue
+    // have no responseId yet, so they can only be changed once the server has them;
+    // sessions from an email or panel id lookup cannot change them at all
+    renderSavedEntries(container, relevantData) {
+        this.showSavedSegments(relevantData);
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (!relevantData.length) {
+            container.textContent = langManager.getText('survey.no_saved_onomatopoeia');
+            return;
+        }
+
+        relevantData.forEach(item => {
+            const entry = document.createElement('div');
+            entry.className = 'saved-entry';
+            entry.classList.toggle('editing', item === this.editingEntry);
+
+            const text = document.createElement('span');
+            text.textContent = this.formatSavedEntry(item);
+            entry.appendChild(text);
+
+            if (item.responseId && !item.pending && this.participantInfo.canEdit) {
+                const actions = document.createElement('span');
+                actions.className = 'saved-entry-actions';
+                [['edit', 'survey.edit_button', ''], ['delete', 'survey.delete_button', ' audio-delete']].forEach(([action, textKey, extraClass]) => {
+                    const button = document.createElement('button');
+                    button.className = `button button-small${extraClass}`;
+                    button.dataset.action = action;
+                    button.dataset.responseId = item.responseId;
+                    button.textContent = langManager.getText(textKey);
+                    actions.appendChild(button);
+                });
+                entry.appendChild(actions);
+            }
+
+            container.appendChild(entry);
+        });
+    }
+
+    // Draw the saved responses of the current video as bands on the segment timeline
+    showSavedSegments(relevantData) {
+        if (!this.segmentTimeline) return;
+
+        const position = (time, frame) => ({ time: parseFloat(time), frame: frame ?? null });
+        this.segmentTimeline.setSavedSegments(relevantData
+            .filter(item => Number.isFinite(parseFloat(item.startTime)) && Number.isFinite(parseFloat(item.endTime)))
+            .map(item => ({
+                key: item.responseId || `queued-${item.queueId}`,
+                label: item.movement,
+                start: position(item.startTime, item.startFrame),
+                end: position(item.endTime, item.endFrame),
+                editing: item === this.editingEntry
+            })));
+    }
+
+    // Colour the video buttons from the responses saved so far
+    updateVideoButtonStates(filteredData) {
         if (this.videoManager) {
             this.videoManager.updateButtonCompletionStates(filteredData, {
-                determineState: (videoName, data) => {
-                    const videoData = data.filter(item => item["video"] === videoName);
+                determineState: (key, data) => {
+                    const videoData = data.filter(item => trialKey(item.video, item.catchTrial) === key);
                     if (videoData.length > 0) {
                         // Check if there are any actual onomatopoeia (not "null")
                         const hasActualOnomatopoeia = videoData.some(item => item["onomatopoeia"] !== "null");
@@ -573,25 +826,235 @@ class SurveyApp extends BaseApp {
                 }
             });
         }
+    }
+
+    // Re-render the saved list and button colours without touching the form,
+    // so a queued save completing in the background never clears what the participant is typing
+    refreshSavedEntries() {
+        const relevantData = this.filteredData.filter(item =>
+            trialKey(item.video, item.catchTrial) === this.currentTrialKey && item["movement"] !== "null"
+        );
+
+        this.renderSavedEntries(this.elements.recordOnomatopoeia, relevantData);
+        this.updateVideoButtonStates(this.filteredData);
+    }
+
+    handleSavedEntryAction(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
 
-        if (docElts.recordOnomatopoeia) {
-            docElts.recordOnomatopoeia.innerHTML = recordMessage;
+        const item = this.filteredData.find(candidate => candidate.responseId === button.dataset.responseId);
+        if (!item) return;
+
+        if (button.dataset.action === 'edit') {
+            this.startEditingEntry(item);
+        } else if (button.dataset.action === 'delete') {
+            this.deleteSavedEntry(item, button);
         }
+    }
 
-        if (docElts.questionText) {
-            // Use different text based on whether user has already provided onomatopoeia for this video
-            const hasExistingOnomatopoeia = relevantData.length > 0;
-            const questionKey = hasExistingOnomatopoeia ? 'survey.question_text_more' : 'survey.question_text';
-            docElts.questionText.textContent = langManager.getText(questionKey);
+    // Load a saved entry into the form; saving then rewrites its row instead of adding one
+    startEditingEntry(item) {
+        this.clearMessage();
+        this.editingEntry = item;
+
+        if (this.elements.onomatopoeiaInput) this.elements.onomatopoeiaInput.value = item.movement;
+        if (this.elements.emotionSelect) this.elements.emotionSelect.value = item.emotion || "";
+        if (this.elements.emotionOtherInput) this.elements.emotionOtherInput.value = item.emotionOther || "";
+        this.updateEmotionOtherVisibility();
+        if (this.elements.startDisplay) this.elements.startDisplay.textContent = formatCaptureTime(item.startTime);
+        if (this.elements.endDisplay) this.elements.endDisplay.textContent = formatCaptureTime(item.endTime);
+        this.capturedFrames = {
+            start: Number.isInteger(item.startFrame) ? item.startFrame : null,
+            end: Number.isInteger(item.endFrame) ? item.endFrame : null
+        };
+        this.viewingConditions = {
+            playbackRate: item.playbackRate ?? null,
+            loopStart: item.loopStart ?? null,
+            loopEnd: item.loopEnd ?? null
+        };
+        const savedPosition = (time, frame) => (Number.isFinite(parseFloat(time)) ? { time: parseFloat(time), frame } : null);
+        this.segmentTimeline?.setSelection({
+            start: savedPosition(item.startTime, this.capturedFrames.start),
+            end: savedPosition(item.endTime, this.capturedFrames.end)
+        });
+
+        // A new recording replaces the saved one; the checkbox removes it without a replacement
+        audioRecordingService.deleteRecording();
+        if (this.elements.removeAudioCheckbox) this.elements.removeAudioCheckbox.checked = false;
+
+        uiManager.updateVisibility(this.elements, {
+            buttonVisibility: false,
+            inputVisibility: true,
+            removeAudioOption: item.hasAudio === 1,
+            cancelEdit: true
+        });
+        this.updateEditModeDisplay();
+        this.refreshSavedEntries();
+        this.elements.inputVisibility?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    exitEditMode() {
+        if (!this.editingEntry) return;
+
+        this.editingEntry = null;
+        if (this.elements.removeAudioCheckbox) this.elements.removeAudioCheckbox.checked = false;
+        uiManager.updateVisibility(this.elements, {
+            removeAudioOption: false,
+            cancelEdit: false
+        });
+        this.updateEditModeDisplay();
+    }
+
+    // The save button doubles as the update button while an entry is being edited
+    updateEditModeDisplay() {
+        if (this.elements.saveOnomatopoeiaButton) {
+            const textKey = this.editingEntry ? 'survey.update_button' : 'survey.save_button';
+            this.elements.saveOnomatopoeiaButton.textContent = langManager.getText(textKey);
         }
+    }
 
-        // Check if all videos are completed after updating button states
-        this.checkAndShowCompletionModal();
+    handleCancelEdit() {
+        this.exitEditMode();
+        audioRecordingService.deleteRecording();
+        this.resetDisplayForCurrentVideo();
+    }
+
+    // Edits go straight to the server rather than through the save queue:
+    // the participant is looking at the entry and can simply try again
+    async handleUpdateOnomatopoeia() {
+        const item = this.editingEntry;
+        const changes = {
+            movement: this.elements.onomatopoeiaInput?.value?.trim() || "",
+            startTime: this.elements.startDisplay?.textContent || "-.--",
+            endTime: this.elements.endDisplay?.textContent || "-.--",
+            startFrame: this.capturedFrames.start,
+            endFrame: this.capturedFrames.end,
+            ...this.viewingConditions,
+            emotion: this.elements.emotionSelect?.value || "",
+            emotionOther: this.readEmotionOther()
+        };
+
+        const validation = ValidationUtils.validateOnomatopoeiaData({
+            ...changes,
+            participantId: this.participantInfo.participantId,
+            video: item.video,
+            answeredTimestamp: item.answeredTimestamp
+        }, this.segmentRules());
+        if (!validation.isValid) {
+            this.showError(validation.errorMessage);
+            return;
+        }
+        this.applyValidatedSegment(changes, validation);
+        if (!this.confirmDistinctSegment(validation, item)) {
+            return;
+        }
+
+        try {
+            const audioState = audioRecordingService.getState();
+            const updated = await this.withLoading('save-response', async () => {
+                if (audioState.hasRecording) {
+                    changes.audioReceipt = await uploadAudioFile(
+                        audioRecordingService.getRecordingBlob(),
+                        this.participantInfo.sessionToken,
+                        this.participantInfo.participantId,
+                        item.video,
+                        changes.movement,
+                        obtainDate(),
+                        item.responseId,
+                        { onProgress: (loaded, total) => this.updateLoadingProgress('save-response', loaded, total) }
+                    );
+                    changes.hasAudio = 1;
+                } else if (this.elements.removeAudioCheckbox?.checked) {
+                    changes.hasAudio = 0;
+                }
+
+                return googleSheetsService.updateOnomatopoeia(this.participantInfo.sessionToken, item.responseId, {
+                    ...changes,
+                    startTime: parseFloat(changes.startTime),
+                    endTime: parseFloat(changes.endTime)
+                });
+            }, {
+                type: 'button',
+                button: this.elements.saveOnomatopoeiaButton,
+                message: langManager.getText('survey.saving') || 'Saving...'
+            });
+
+            Object.assign(item, updated);
+            localStorage.setItem("filteredData", JSON.stringify(this.filteredData));
+
+            this.exitEditMode();
+            audioRecordingService.deleteRecording();
+            this.resetDisplayForCurrentVideo();
+            this.showSuccess(langManager.getText('survey.success_updated'));
+        } catch (error) {
+            console.error('Error updating onomatopoeia:', error);
+            this.showError(langManager.getText('survey.update_error') || 'Failed to update response');
+        }
     }
 
-    async saveOnomatopoeia(filteredData, infoDict, spreadsheetId, OnomatopoeiaSheet, messageDisplay, verbose = true) {
+    async deleteSavedEntry(item, button) {
+        if (!confirm(langManager.getText('survey.delete_confirm'))) {
+            return;
+        }
+
+        try {
+            await this.submitWithLoading(
+                button,
+                () => googleSheetsService.deleteOnomatopoeia(this.participantInfo.sessionToken, item.responseId),
+                langManager.getText('survey.deleting')
+            );
+
+            this.filteredData.splice(this.filteredData.indexOf(item), 1);
+            localStorage.setItem("filteredData", JSON.stringify(this.filteredData));
+
+            if (item === this.editingEntry) {
+                this.exitEditMode();
+                audioRecordingService.deleteRecording();
+            }
+            this.resetDisplayForCurrentVideo();
+            this.showSuccess(langManager.getText('survey.success_deleted'));
+        } catch (error) {
+            console.error('Error deleting onomatopoeia:', error);
+            this.showError(langManager.getText('survey.delete_error') || 'Failed to delete response');
+        }
+    }
+
+    // What the segment of a response for the current video is checked against
+    segmentRules() {
+        return {
+            duration: this.elements.videoPlayer?.duration,
+            minDuration: parseFloat(this.config?.minSegmentDuration) || 0
+        };
+    }
+
+    // Validation clamps the times to the video; a frame whose time was moved no longer belongs to it
+    applyValidatedSegment(fields, validation) {
+        if (validation.startTime === undefined) return;
+
+        [['startTime', 'startFrame'], ['endTime', 'endFrame']].forEach(([timeField, frameField]) => {
+            if (parseFloat(fields[timeField]) !== validation[timeField]) {
+                fields[timeField] = formatCaptureTime(validation[timeField]);
+                fields[frameField] = null;
+            }
+        });
+    }
+
+    // A segment almost the same as one already saved for the video is usually a double save; ask first
+    confirmDistinctSegment(segment, editedItem = null) {
+        const savedItems = this.filteredData.filter(item =>
+            trialKey(item.video, item.catchTrial) === this.currentTrialKey && item.movement !== "null" && item !== editedItem
+        );
+        const duplicate = ValidationUtils.findNearDuplicateSegment(segment, savedItems);
+        if (!duplicate) {
+            return true;
+        }
+        return confirm(`${langManager.getText('survey.confirm_near_duplicate')}\n${this.formatSavedEntry(duplicate)}`);
+    }
+
+    async saveOnomatopoeia(filteredData, infoDict, messageDisplay, verbose = true) {
         // Validate input data
-        const validation = ValidationUtils.validateOnomatopoeiaData(infoDict);
+        const validation = ValidationUtils.validateOnomatopoeiaData(infoDict, this.segmentRules());
         if (!validation.isValid) {
             if (verbose) {
                 uiManager.showError(messageDisplay, validation.errorMessage);
@@ -600,71 +1063,191 @@ class SurveyApp extends BaseApp {
             error.isValidationError = true; // Mark as validation error
             throw error;
         }
+        this.applyValidatedSegment(infoDict, validation);
+
+        // Persist the response before sending it, so the save queue can replay it if the network fails
+        const { audioBlob, ...response } = infoDict;
+        const queueId = await saveQueue.enqueue({
+            sessionToken: this.participantInfo.sessionToken,
+            response,
+            audioBlob: infoDict.hasAudio === 1 ? audioBlob : null
+        });
+
+        // Show the entry straight away; it stays pending until the server has accepted it
+        filteredData.push({
+            ...response,
+            hasAudio: infoDict.hasAudio || 0,
+            audioFileName: null,
+            queueId,
+            pending: true
+        });
+        localStorage.setItem("filteredData", JSON.stringify(filteredData));
+
+        await saveQueue.flush();
+
+        // A repeat of an entry the server already had is merged into the earlier item
+        const savedItem = filteredData.find(item => item.queueId === queueId) ||
+            filteredData.find(item => item.responseId === response.responseId && !item.pending);
+        if (!savedItem) {
+            // Rejected by the server - handleQueuedResponseRejected already told the participant
+            const error = new Error("Response rejected by the server");
+            error.isValidationError = true; // Mark as validation error (already shown to user)
+            throw error;
+        }
+
+        // Show success message
+        if (verbose) {
+            if (savedItem.pending) {
+                uiManager.showWarning(messageDisplay, langManager.getText('survey.saved_offline'));
+            } else if (infoDict.hasAudio === 1 && !savedItem.audioFileName) {
+                uiManager.showError(messageDisplay, langManager.getText('survey.audio_upload_error'));
+            } else {
+                const successMessage = (infoDict.hasAudio === 1) ? 
+                    langManager.getText('survey.success_saved_with_audio') :
+                    langManager.getText('survey.success_saved');
+                uiManager.showSuccess(messageDisplay, successMessage);
+            }
+        }
+    }
+
+    // Save queue plumbing: entries are sent by sendQueuedResponse, oldest first
+    initializeSaveQueue() {
+        saveQueue.sender = this.sendQueuedResponse.bind(this);
+        saveQueue.onChange = (pendingCount) => this.updateSaveQueueStatus(pendingCount);
+        saveQueue.onSent = this.handleQueuedResponseSent.bind(this);
+        saveQueue.onRejected = this.handleQueuedResponseRejected.bind(this);
+    }
+
+    // Upload the audio (if any) and append the response row
+    async sendQueuedResponse(entry) {
+        const { response } = entry;
+        let audioReceipt = "";
 
-        // Handle audio upload if present
-        let audioFileName = null;
-        if (infoDict.audioBlob && infoDict.hasAudio === 1) {
+        if (entry.audioBlob) {
             try {
-                audioFileName = await uploadAudioFile(
-                    infoDict.audioBlob, 
-                    infoDict.participantId, 
-                    infoDict.participantName,
-                    infoDict.video, 
-                    infoDict.movement, 
-                    infoDict.answeredTimestamp
+                audioReceipt = await uploadAudioFile(
+                    entry.audioBlob, 
+                    entry.sessionToken,
+                    response.participantId, 
+                    response.video, 
+                    response.movement, 
+                    response.answeredTimestamp,
+                    response.responseId,
+                    {
+                        onProgress: (loaded, total) => this.updateLoadingProgress('save-response', loaded, total),
+                        // Remember the Drive session so a replay resumes instead of starting over
+                        resume: entry.audioUpload || null,
+                        onUploadStart: (upload) => {
+                            entry.audioUpload = upload;
+                            return saveQueue.update(entry);
+                        }
+                    }
                 );
             } catch (audioError) {
-                console.error("Audio upload failed:", audioError);
-                if (verbose) {
-                    uiManager.showError(messageDisplay, langManager.getText('survey.audio_upload_error'));
+                // Offline, logged out or waiting for a new consent: keep the whole entry (and its audio)
+                // queued for the next replay
+                if (!audioError.status || audioError.status === 401 || audioError.status === 403) {
+                    throw audioError;
                 }
+                // The upload itself failed - save the description without audio, as before the queue
+                console.error("Audio upload failed:", audioError);
             }
         }
 
-        // Prepare onomatopoeia data using the service
-        const onomatopoeiaData = {
-            participantId: parseInt(infoDict.participantId),
-            participantName: infoDict.participantName,
-            video: infoDict.video,
-            movement: infoDict.movement,
-            startTime: parseFloat(infoDict.startTime),
-            endTime: parseFloat(infoDict.endTime),
-            answeredTimestamp: infoDict.answeredTimestamp,
-            hasAudio: infoDict.hasAudio || 0,
-            audioFileName: audioFileName || "",
-            emotion: infoDict.emotion || ""
-        };
-
-        const appendResult = await googleSheetsService.saveOnomatopoeia(spreadsheetId, OnomatopoeiaSheet, onomatopoeiaData);
+        // The server fills in participantId/participantName from the session and ignores
+        // a responseId it already has, so replaying an entry that did land is harmless
+        const saved = await googleSheetsService.saveOnomatopoeia(entry.sessionToken, {
+            responseId: response.responseId,
+            video: response.video,
+            movement: response.movement,
+            startTime: parseFloat(response.startTime),
+            endTime: parseFloat(response.endTime),
+            startFrame: response.startFrame ?? null,
+            endFrame: response.endFrame ?? null,
+            playbackRate: response.playbackRate ?? null,
+            loopStart: response.loopStart ?? null,
+            loopEnd: response.loopEnd ?? null,
+            answeredTimestamp: response.answeredTimestamp,
+            // A recording whose upload failed is saved as a description without audio
+            hasAudio: audioReceipt ? 1 : 0,
+            audioReceipt,
+            emotion: response.emotion || "",
+            emotionOther: response.emotionOther || "",
+            catchTrial: response.catchTrial || ""
+        });
+        return saved;
+    }
 
-        if (!appendResult) {
-            if (verbose) {
-                uiManager.showError(messageDisplay, langManager.getText('survey.error_saving_sheet'));
-            }
-            const error = new Error("Failed to save to sheet");
-            error.isValidationError = true; // Mark as validation error (already shown to user)
-            throw error;
+    handleQueuedResponseSent(entry, result) {
+        const item = this.filteredData.find(candidate => candidate.queueId === entry.id);
+        if (!item) {
+            return; // Queued by another participant on this browser
         }
 
-        // Update local data
-        const updatedInfoDict = {
-            ...infoDict,
-            hasAudio: infoDict.hasAudio || 0,
-            audioFileName: audioFileName
-        };
-        delete updatedInfoDict.audioBlob;
-        filteredData.push(updatedInfoDict);
-        
-        // Save updated data to localStorage
-        localStorage.setItem("filteredData", JSON.stringify(filteredData));
+        // Saving the same entry twice (e.g. a double click while offline) queues two copies;
+        // the server keeps one row, so keep one item
+        const duplicate = this.filteredData.find(candidate =>
+            candidate !== item && !candidate.pending && candidate.responseId === result.responseId
+        );
+        if (duplicate) {
+            this.filteredData.splice(this.filteredData.indexOf(item), 1);
+        } else {
+            item.pending = false;
+            item.responseId = result.responseId || null;
+            item.hasAudio = result.hasAudio || 0;
+            item.audioFileName = result.audioFileName || null;
+        }
+        localStorage.setItem("filteredData", JSON.stringify(this.filteredData));
+        this.refreshSavedEntries();
+    }
 
-        // Show success message
-        if (verbose) {
-            const successMessage = (infoDict.hasAudio === 1 && audioFileName) ? 
-                langManager.getText('survey.success_saved_with_audio') :
-                langManager.getText('survey.success_saved');
-            uiManager.showSuccess(messageDisplay, successMessage);
+    handleQueuedResponseRejected(entry, error) {
+        const index = this.filteredData.findIndex(candidate => candidate.queueId === entry.id);
+        if (index === -1) {
+            return;
         }
+
+        this.filteredData.splice(index, 1);
+        localStorage.setItem("filteredData", JSON.stringify(this.filteredData));
+        this.refreshSavedEntries();
+        this.showError(langManager.getText('survey.save_error') || 'Failed to save response');
+    }
+
+    // Bring filteredData in line with the outbox: entries queued before a reload or a fresh login
+    // are shown as pending, and pending flags of entries no longer queued are cleared
+    async syncQueuedResponses() {
+        const entries = await saveQueue.getAll();
+        const queuedIds = new Set(entries.map(entry => entry.id));
+
+        this.filteredData.forEach(item => {
+            if (item.pending && !queuedIds.has(item.queueId)) {
+                item.pending = false;
+            }
+        });
+
+        entries
+            .filter(entry => String(entry.response.participantId) === String(this.participantInfo.participantId))
+            .filter(entry => !this.filteredData.some(item => item.queueId === entry.id))
+            .forEach(entry => {
+                this.filteredData.push({
+                    ...entry.response,
+                    hasAudio: entry.response.hasAudio || 0,
+                    audioFileName: null,
+                    queueId: entry.id,
+                    pending: true
+                });
+            });
+
+        localStorage.setItem("filteredData", JSON.stringify(this.filteredData));
+        this.updateSaveQueueStatus(entries.length);
+    }
+
+    updateSaveQueueStatus(pendingCount = this.pendingSaveCount) {
+        this.pendingSaveCount = pendingCount;
+        if (!this.elements.saveQueueStatus) return;
+
+        this.elements.saveQueueStatus.style.display = pendingCount > 0 ? "block" : "none";
+        this.elements.saveQueueStatus.textContent = `${langManager.getText('survey.queue_pending')} ${pendingCount}`;
     }
 
     // Check if all videos are completed and show completion modal if needed
@@ -688,7 +1271,8 @@ class SurveyApp extends BaseApp {
             const buttonVideo = DOMUtils.safeGetDataset(button, 'video')?.split("/").pop();
             if (buttonVideo) {
                 // Check if this video has any data (onomatopoeia or "no" response)
-                const hasData = this.filteredData.some(item => item.video === buttonVideo);
+                const buttonKey = trialKey(buttonVideo, DOMUtils.safeGetDataset(button, 'catchTrial'));
+                const hasData = this.filteredData.some(item => trialKey(item.video, item.catchTrial) === buttonKey);
                 if (!hasData) {
                     allAddressed = false;
                 }
@@ -720,10 +1304,59 @@ class SurveyApp extends BaseApp {
                     });
                     stayButton.dataset.listenerAttached = 'true';
                 }
+
+                const completionUrl = this.getCompletionUrl();
+                if (completionUrl) {
+                    this.redirectToCompletionUrl(completionUrl);
+                }
             }
         });
     }
 
+    // Completion link for participants who came from a recruitment panel, null for everyone else.
+    // recruitment.completionUrl may use {completionCode}, {participantId}, {studyId} and {sessionId}
+    getCompletionUrl() {
+        const recruitment = this.config?.recruitment;
+        if (!recruitment?.completionUrl || !this.participantInfo?.recruitmentParticipantId) {
+            return null;
+        }
+
+        const values = {
+            completionCode: recruitment.completionCode || '',
+            participantId: this.participantInfo.recruitmentParticipantId,
+            studyId: this.participantInfo.recruitmentStudyId || '',
+            sessionId: this.participantInfo.recruitmentSessionId || ''
+        };
+        return recruitment.completionUrl.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            (name in values ? encodeURIComponent(values[name]) : placeholder));
+    }
+
+    // Send the participant back to the panel once every response has reached the sheet; while some
+    // are still queued the link stays in the modal for them to follow themselves
+    async redirectToCompletionUrl(completionUrl) {
+        localStorage.setItem("surveyCompleted", "true");
+
+        const stayButton = document.getElementById('stayOnPageButton');
+        const redirectText = document.getElementById('completionRedirectText');
+        const redirectLink = document.getElementById('completionRedirectLink');
+        if (stayButton) stayButton.style.display = 'none';
+        if (redirectText) redirectText.style.display = 'block';
+        if (redirectLink) {
+            redirectLink.href = completionUrl;
+            redirectLink.style.display = 'inline-block';
+        }
+
+        await saveQueue.flush();
+        // The outbox is shared by everyone who used this browser; only this participant's entries hold the redirect
+        const entries = await saveQueue.getAll();
+        const ownEntries = entries.filter(entry => String(entry.response.participantId) === String(this.participantInfo.participantId));
+        if (ownEntries.length === 0) {
+            setTimeout(() => {
+                window.location.href = completionUrl;
+            }, COMPLETION_REDIRECT_DELAY);
+        }
+    }
+
     stayOnSurveyPage() {
         // Simply hide the completion modal and let user continue on survey page
         modalManager.hideModal('surveyCompletion');
@@ -6,6 +6,7 @@ import { modalManager } from './modalManager.js';
 import { audioRecordingService } from './audioRecordingService.js';
 import { BubblePositioner } from './bubblePositioner.js';
 import { TutorialStepManager } from './tutorialStepManager.js';
+import { FrameCapture, formatCaptureTime } from './frameCapture.js';
 
 // Tutorial application logic
 class TutorialApp extends BaseApp {
@@ -15,6 +16,7 @@ class TutorialApp extends BaseApp {
         
         // Initialize tutorial-specific properties after calling super()
         this.tutorialData = []; // Local storage for tutorial data
+        this.frameCapture = null; // Reads the frame on screen for the start/end buttons
         this.lastVideoPlayTime = 0;
         this.scrollTimeout = null; // For debouncing scroll-triggered repositioning
         
@@ -44,6 +46,9 @@ class TutorialApp extends BaseApp {
                 this.onVideoChange.bind(this), // Called when video changes
                 null // No special onVideoLoad callback needed for tutorial
             );
+            if (this.elements.videoPlayer) {
+                this.frameCapture = new FrameCapture(this.elements.videoPlayer, this.config?.videoFrameRate);
+            }
             
             // Set up event listeners
             this.setupEventListeners();
@@ -512,15 +517,16 @@ class TutorialApp extends BaseApp {
         this.resetDisplay();
     }
 
+    // Same capture as the survey, so the practice matches what gets saved there
     captureStartTime() {
-        if (this.elements.videoPlayer && this.elements.startDisplay) {
-            this.elements.startDisplay.textContent = this.elements.videoPlayer.currentTime.toFixed(2);
+        if (this.frameCapture && this.elements.startDisplay) {
+            this.elements.startDisplay.textContent = formatCaptureTime(this.frameCapture.capture().time);
         }
     }
 
     captureEndTime() {
-        if (this.elements.videoPlayer && this.elements.endDisplay) {
-            this.elements.endDisplay.textContent = this.elements.videoPlayer.currentTime.toFixed(2);
+        if (this.frameCapture && this.elements.endDisplay) {
+            this.elements.endDisplay.textContent = formatCaptureTime(this.frameCapture.capture().time);
         }
     }
 
@@ -2,11 +2,28 @@ import { langManager } from './languageManager.js';
 
 // General utility functions and classes
 
+// Two segments of a video overlapping this much of their combined span are taken for the same one
+const NEAR_DUPLICATE_OVERLAP = 0.9;
+
 // Utility function to get current timestamp in ISO format
 function obtainDate() {
     return new Date().toISOString().split('.')[0] + 'Z';
 }
 
+// Random UUID identifying one response. It is created when the participant starts the entry,
+// so every retry and queue replay of that save carries the same id and the server can drop repeats
+function generateResponseId() {
+    if (crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    // randomUUID is missing outside secure contexts (e.g. the dev server opened by IP address)
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
 // Configuration manager for common app settings (Singleton pattern)
 class ConfigManager {
     static instance = null;
@@ -56,7 +73,14 @@ class ValidationUtils {
         return input ? input.trim() : '';
     }
     
-    static validateOnomatopoeiaData(infoDict) {
+    /**
+     * Check a response before it is saved
+     * @param {Object} infoDict - Response fields as collected from the form
+     * @param {Object} segmentRules - Rules for the segment, see validateSegment
+     * @returns {Object} - { isValid, errorMessage }; a valid segment also comes back as
+     *   { startTime, endTime } clamped to the video
+     */
+    static validateOnomatopoeiaData(infoDict, segmentRules = {}) {
         if (!infoDict.movement || infoDict.movement.trim() === "") {
             return {
                 isValid: false,
@@ -78,12 +102,29 @@ class ValidationUtils {
             };
         }
         
+        // SurveyApp.handleNoOnomatopoeia saves "null" times with the "null" movement
+        let segment = {};
+        if (infoDict.movement !== "null") {
+            segment = ValidationUtils.validateSegment(infoDict.startTime, infoDict.endTime, segmentRules);
+            if (!segment.isValid) {
+                return segment;
+            }
+        }
+
         if (!infoDict.emotion || infoDict.emotion.trim() === "") {
             return {
                 isValid: false,
                 errorMessage: langManager.getText('survey.error_select_emotion')
             };
         }
+
+        // SurveyApp only sends emotionOther with the "other" option, when the study offers it
+        if (infoDict.emotion === "other" && !infoDict.emotionOther?.trim()) {
+            return {
+                isValid: false,
+                errorMessage: langManager.getText('survey.error_specify_emotion')
+            };
+        }
         
         if (!infoDict.participantId || !infoDict.video || !infoDict.answeredTimestamp) {
             return {
@@ -92,7 +133,67 @@ class ValidationUtils {
             };
         }
         
-        return { isValid: true };
+        return { ...segment, isValid: true };
+    }
+
+    /**
+     * Check the segment a response describes
+     * @param {number|string} startTime - Start in seconds
+     * @param {number|string} endTime - End in seconds
+     * @param {Object} rules - { duration, minDuration }: the video's duration (NaN until its metadata
+     *   has loaded) and the shortest segment accepted, in seconds
+     * @returns {Object} - { isValid, errorMessage }, or { isValid, startTime, endTime } with the times clamped to the video
+     */
+    static validateSegment(startTime, endTime, { duration = NaN, minDuration = 0 } = {}) {
+        // Rounded down to the millisecond like the captured times, so a clamped time stays inside the video
+        const maxTime = Number.isFinite(duration) && duration > 0 ? Math.floor(duration * 1000) / 1000 : Infinity;
+        const clampTime = (value) => Math.min(Math.max(parseFloat(value), 0), maxTime);
+        const start = clampTime(startTime);
+        const end = clampTime(endTime);
+
+        if (!Number.isFinite(start)) {
+            return { isValid: false, errorMessage: langManager.getText('survey.error_record_start') };
+        }
+        if (!Number.isFinite(end)) {
+            return { isValid: false, errorMessage: langManager.getText('survey.error_record_end') };
+        }
+        if (end <= start) {
+            return { isValid: false, errorMessage: langManager.getText('survey.error_end_before_start') };
+        }
+        // Compared in milliseconds, the precision times are captured to
+        if (Math.round((end - start) * 1000) < Math.round(minDuration * 1000)) {
+            return {
+                isValid: false,
+                errorMessage: langManager.getText('survey.error_segment_too_short').replace('{seconds}', minDuration)
+            };
+        }
+
+        return { isValid: true, startTime: start, endTime: end };
+    }
+
+    /**
+     * Find a saved segment that nearly duplicates a new one
+     * @param {Object} segment - { startTime, endTime } in seconds
+     * @param {Array<Object>} savedItems - Responses already saved for the same video
+     * @returns {Object|null} - The first near duplicate among savedItems
+     */
+    static findNearDuplicateSegment(segment, savedItems) {
+        const start = parseFloat(segment.startTime);
+        const end = parseFloat(segment.endTime);
+        if (!(end > start)) {
+            return null;
+        }
+
+        return savedItems.find(item => {
+            const itemStart = parseFloat(item.startTime);
+            const itemEnd = parseFloat(item.endTime);
+            if (!(itemEnd > itemStart)) {
+                return false;
+            }
+            const overlap = Math.min(end, itemEnd) - Math.max(start, itemStart);
+            const span = Math.max(end, itemEnd) - Math.min(start, itemStart);
+            return overlap / span >= NEAR_DUPLICATE_OVERLAP;
+        }) || null;
     }
 }
 
@@ -121,4 +222,4 @@ class DOMUtils {
     }
 }
 
-export { obtainDate, ConfigManager, ValidationUtils, DOMUtils };
+export { obtainDate, generateResponseId, ConfigManager, ValidationUtils, DOMUtils };
@@ -5,6 +5,12 @@ import { uiManager } from './uiManager.js';
 // Video Management Service
 // Consolidates video loading, switching, and state management across apps
 
+// Key that saved responses and buttons are matched on: a catch trial (catchTrials in sheet-info.json)
+// may show a video that is also in the study sequence, and its answers must stay apart
+function trialKey(videoName, catchTrial = null) {
+    return catchTrial ? `catch:${catchTrial}` : videoName;
+}
+
 class VideoManager {
     constructor(videoPlayer, videoButtons, videoTitle = null) {
         this.videoPlayer = videoPlayer;
@@ -12,6 +18,8 @@ class VideoManager {
         this.videoTitle = videoTitle;
         this.currentVideo = null;
         this.currentVideoName = null;
+        this.currentCatchTrial = null; // Id of the catch trial being shown, if any
+        this.telemetry = null; // VideoTelemetry logging each viewing, when the app attaches one
         
         // Callbacks that apps can set for custom behavior
         this.onVideoChange = null; // Called when video changes
@@ -21,10 +29,15 @@ class VideoManager {
     }
 
     // Unified video loading logic
-    async loadVideos(config) {
+    // videoOrder is the participant's assigned sequence (participantInfo.videoOrder); without it
+    // the videos keep the SelectedVideos sheet order. When the study hands out subsets
+    // (videoSubsetSize in sheet-info.json) only the assigned videos are shown. The configured
+    // catchTrials are mixed into the sequence
+    async loadVideos(config, videoOrder = null) {
         try {
-            // Load selected videos from Google Sheets
-            await this.loadSelectedVideos(config.spreadsheetId, config.videoSheet, this.videoButtons);
+            // Load selected videos from the SelectedVideos sheet
+            const assignedOnly = parseInt(config?.videoSubsetSize) > 0;
+            await this.loadSelectedVideos(this.videoButtons, videoOrder, assignedOnly, config?.catchTrials || []);
             
             // Set up initial video
             this.setupInitialVideo();
@@ -40,24 +53,17 @@ class VideoManager {
         }
     }
 
-    // Load selected videos from the Google Sheet
-    async loadSelectedVideos(spreadsheetId, sheetName, videoButtonsContainer) {
+    // Load selected videos from the Google Sheet (read server-side by the list-videos function)
+    async loadSelectedVideos(videoButtonsContainer, videoOrder = null, assignedOnly = false, catchTrials = []) {
         try {
-            // Use GoogleSheetsService to get video data
-            const selectedVideosData = await googleSheetsService.getSheetData(spreadsheetId, sheetName);
+            const videoNames = await googleSheetsService.listVideos();
             
-            if (!selectedVideosData || selectedVideosData.length === 0) {
-                throw new Error(`No data found in ${sheetName} sheet`);
+            if (!videoNames || videoNames.length === 0) {
+                throw new Error('No videos found in the SelectedVideos sheet');
             }
-            
-            // Extract video names (skip header row if present)
-            const videoNames = selectedVideosData.slice(1).map(row => row[0]).filter(name => name);
-            
-            // add .mp4 extension
-            const videoNamesWithExtension = videoNames
-                .map(name => `${name}.mp4`);
 
-            this.createVideoButtons(videoNamesWithExtension, videoButtonsContainer);
+            const orderedNames = this.applyVideoOrder(videoNames, videoOrder, assignedOnly);
+            this.createVideoButtons(this.insertCatchTrials(orderedNames, catchTrials), videoButtonsContainer);
         } catch (error) {
             console.error("Error loading selected videos:", error);
             // Fallback to default videos if sheet reading fails
@@ -66,7 +72,38 @@ class VideoManager {
         }
     }
 
+    // Put the videos in the participant's assigned order. Videos removed from the sheet since the
+    // order was assigned are dropped; videos added since go at the end, in sheet order, unless
+    // the participant only works on their assigned subset
+    applyVideoOrder(videoNames, videoOrder, assignedOnly = false) {
+        if (!Array.isArray(videoOrder) || videoOrder.length === 0) {
+            return videoNames;
+        }
+        const ordered = videoOrder.filter(videoName => videoNames.includes(videoName));
+        if (assignedOnly) {
+            return ordered;
+        }
+        return [...ordered, ...videoNames.filter(videoName => !ordered.includes(videoName))];
+    }
+
+    // Place each catch trial at its 1-based position in the sequence (after the ones before it).
+    // An instruction trial shows its own video; a repeat trial shows the participant's
+    // `repeats`-th video again and is skipped when they have fewer videos than that
+    insertCatchTrials(videoNames, catchTrials = []) {
+        const sequence = [...videoNames];
+        [...catchTrials]
+            .sort((a, b) => a.position - b.position)
+            .forEach(trial => {
+                const video = trial.type === 'repeat' ? videoNames[trial.repeats - 1] : trial.video;
+                if (!video) return;
+                const index = Math.min(Math.max(parseInt(trial.position) - 1, 0), sequence.length);
+                sequence.splice(index, 0, { video, catchTrial: trial.id, label: trial.label });
+            });
+        return sequence;
+    }
+
     // Reusable function to create video buttons
+    // Entries are video names, or { video, catchTrial, label } for a catch trial
     createVideoButtons(videoNames, container) {
         if (!container) {
             console.error('Video button container not found');
@@ -76,14 +113,18 @@ class VideoManager {
         // Clear existing buttons
         container.innerHTML = '';
         
-        videoNames.forEach((videoName, index) => {
+        videoNames.forEach((entry, index) => {
+            const videoName = entry.video || entry;
             const button = document.createElement('button');
             button.className = 'video-button';
             button.dataset.video = `videos/${videoName}`;
+            if (entry.catchTrial) {
+                button.dataset.catchTrial = entry.catchTrial;
+            }
             
             // Extract just the video number/name for display
             const displayName = videoName.replace('.mp4', '');
-            button.textContent = displayName;
+            button.textContent = entry.label || displayName;
             
             // Mark first button as active by default
             if (index === 0) {
@@ -114,6 +155,12 @@ class VideoManager {
         // Update current video tracking
         this.currentVideo = videoSrc;
         this.currentVideoName = videoSrc.split("/").pop();
+        this.currentCatchTrial = buttonElement ? DOMUtils.safeGetDataset(buttonElement, 'catchTrial') || null : null;
+
+        // Every switch starts a new viewing in the telemetry log
+        if (this.telemetry) {
+            this.telemetry.startTrial(this.currentVideoName, this.currentCatchTrial);
+        }
         
         // Update video title if element exists
         if (this.videoTitle) {
@@ -127,7 +174,7 @@ class VideoManager {
         
         // Notify app of video change
         if (this.onVideoChange) {
-            this.onVideoChange(this.currentVideoName, videoSrc);
+            this.onVideoChange(this.currentVideoName, videoSrc, this.currentCatchTrial);
         }
     }
 
@@ -155,7 +202,8 @@ class VideoManager {
                 button.classList.remove('completed', 'no-onomatopoeia');
                 
                 // Apply state based on completion data and mapping
-                const state = this.determineButtonState(buttonVideo, completionData, stateMapping);
+                const buttonKey = trialKey(buttonVideo, DOMUtils.safeGetDataset(button, 'catchTrial'));
+                const state = this.determineButtonState(buttonKey, completionData, stateMapping);
                 if (state) {
                     button.classList.add(state);
                 }
@@ -164,15 +212,16 @@ class VideoManager {
     }
 
     // Helper method to determine button state based on data
-    determineButtonState(videoName, completionData, stateMapping) {
+    // key is the button's trialKey: its video name, unless it is a catch trial
+    determineButtonState(key, completionData, stateMapping) {
         // Default implementation - can be overridden by providing stateMapping
         if (stateMapping.determineState) {
-            return stateMapping.determineState(videoName, completionData);
+            return stateMapping.determineState(key, completionData);
         }
         
         // Fallback logic for simple completion tracking
         const hasData = completionData.some && completionData.some(item => 
-            item.video === videoName || item["video"] === videoName
+            trialKey(item.video, item.catchTrial) === key
         );
         
         return hasData ? 'completed' : null;
@@ -182,7 +231,8 @@ class VideoManager {
     getCurrentVideo() {
         return {
             src: this.currentVideo,
-            name: this.currentVideoName
+            name: this.currentVideoName,
+            catchTrial: this.currentCatchTrial
         };
     }
 
@@ -234,4 +284,4 @@ class VideoManager {
     }
 }
 
-export { VideoManager };
+export { VideoManager, trialKey };
@@ -0,0 +1,122 @@
+import { generateResponseId } from './utils.js';
+
+// Video Telemetry
+// Logs how a participant watches each stimulus: play, pause, seek, rate change, end and replay of
+// the video player, each with the media time and the wall-clock time. Events are collected per
+// trial (one viewing of a video, started by VideoManager.setActiveVideo) and handed to `onBatch`
+// when the participant switches videos or leaves the page (videoTelemetry in sheet-info.json)
+
+// Same limit as netlify/lib/videoEvents.js; a longer viewing goes out in several batches
+const MAX_EVENTS_PER_BATCH = 200;
+
+class VideoTelemetry {
+    constructor(videoPlayer) {
+        this.videoPlayer = videoPlayer;
+        this.trial = null;       // { trialId, video, catchTrial } of the viewing being logged
+        this.events = [];
+        this.lastMediaTime = 0;  // Position before a seek, from the last timeupdate
+        this.seekFrom = null;    // Position the current seek started from
+        this.hasEnded = false;   // A play after the end is logged as a replay
+
+        // Called with each batch: ({ batchId, trialId, video, catchTrial, events }, { unloading })
+        this.onBatch = null;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const player = this.videoPlayer;
+
+        player.addEventListener('play', () => {
+            this.record(this.hasEnded ? 'replay' : 'play');
+            this.hasEnded = false;
+        });
+        player.addEventListener('pause', () => {
+            // The player pauses itself when the video ends; that is logged as 'ended'
+            if (!player.ended) {
+                this.record('pause');
+            }
+        });
+        player.addEventListener('ended', () => {
+            this.record('ended');
+            this.hasEnded = true;
+        });
+        player.addEventListener('ratechange', () => this.record('ratechange'));
+
+        // A seek is logged once it lands, with where it started (dragging the scrubber is one seek)
+        player.addEventListener('timeupdate', () => {
+            if (!player.seeking) {
+                this.lastMediaTime = player.currentTime;
+            }
+        });
+        player.addEventListener('seeking', () => {
+            if (this.seekFrom === null) {
+                this.seekFrom = this.lastMediaTime;
+            }
+        });
+        player.addEventListener('seeked', () => {
+            this.record('seek', { fromTime: this.roundTime(this.seekFrom ?? this.lastMediaTime) });
+            this.seekFrom = null;
+            this.lastMediaTime = player.currentTime;
+        });
+
+        // Leaving the page ends the viewing
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flush(true);
+            }
+        });
+        window.addEventListener('pagehide', () => this.flush(true));
+    }
+
+    // Start logging a viewing; the previous one is sent first
+    startTrial(videoName, catchTrial = null) {
+        this.endTrial();
+        this.trial = { trialId: generateResponseId(), video: videoName, catchTrial: catchTrial || '' };
+        this.lastMediaTime = 0;
+        this.seekFrom = null;
+        this.hasEnded = false;
+    }
+
+    endTrial() {
+        this.flush();
+        this.trial = null;
+    }
+
+    roundTime(seconds) {
+        return Math.round(seconds * 1000) / 1000;
+    }
+
+    record(type, details = {}) {
+        // Events of a source still loading (fired by the switch to the next video) belong to no viewing
+        if (!this.trial || this.videoPlayer.readyState === HTMLMediaElement.HAVE_NOTHING) {
+            return;
+        }
+
+        this.events.push({
+            type,
+            mediaTime: this.roundTime(this.videoPlayer.currentTime),
+            playbackRate: this.videoPlayer.playbackRate,
+            wallTime: new Date().toISOString(),
+            ...details
+        });
+        if (this.events.length >= MAX_EVENTS_PER_BATCH) {
+            this.flush();
+        }
+    }
+
+    // Hand the events logged so far to onBatch; `unloading` is set when the page is going away
+    flush(unloading = false) {
+        if (!this.trial || this.events.length === 0) {
+            return;
+        }
+
+        const batch = { batchId: generateResponseId(), ...this.trial, events: this.events };
+        this.events = [];
+        if (this.onBatch) {
+            this.onBatch(batch, { unloading });
+        }
+    }
+}
+
+export { VideoTelemetry };
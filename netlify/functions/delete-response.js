@@ -0,0 +1,28 @@
+const { createJsonHandler } = require('../lib/http');
+const { getStudyConfig } = require('../lib/studyConfig');
+const { createSheetStore } = require('../lib/sheetStore');
+const { deleteResponse } = require('../lib/responses');
+const { trashAudioFile } = require('../lib/driveAudio');
+const { requireParticipant } = require('../lib/session');
+
+/**
+ * Netlify Function that withdraws one of the participant's responses, matched by responseId.
+ * The Movements row is marked deleted and its audio clip, if any, is moved to the Drive trash.
+ * Sessions from an email or panel id lookup are refused with 403 EDIT_NOT_ALLOWED.
+ */
+exports.handler = createJsonHandler(['POST'], async ({ event, body }) => {
+    const session = requireParticipant(event, { requireEdit: true });
+    const config = getStudyConfig();
+    const response = await deleteResponse(createSheetStore(config), config, session, body.responseId);
+
+    if (response.audioFileName) {
+        try {
+            await trashAudioFile(config, session, response.audioFileName);
+        } catch (error) {
+            // The row is already marked deleted; an orphaned clip is harmless, so only log it
+            console.error(`Failed to trash audio ${response.audioFileName}:`, error);
+        }
+    }
+
+    return { responseId: response.responseId };
+});
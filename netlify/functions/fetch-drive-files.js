@@ -1,44 +1,18 @@
-exports.handler = async (event, context) => {
-  try {
-    const { accessToken, folderId } = JSON.parse(event.body);
+const { createJsonHandler, HttpError } = require('../lib/http');
+const { getServiceAccountToken } = require('../lib/googleApi');
+const { requireResearcher } = require('../lib/session');
+const { listFolder } = require('../lib/driveFiles');
 
-    if (!accessToken || !folderId) {
-      return {
-        statusCode: 400,
-        body: JSON.stringify({ error: 'Missing accessToken or folderId' }),
-      };
-    }
-
-    // Use direct API call instead of googleapis
-    const response = await fetch(
-      `https://www.googleapis.com/drive/v3/files?q=parents+in+'${folderId}'+and+trashed=false&fields=files(id,name,mimeType)`,
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`
-        }
-      }
-    );
+/**
+ * Netlify Function listing the files in a Drive folder, with the service account's credentials.
+ * Researchers only (session cookie from researcher-login).
+ */
+exports.handler = createJsonHandler(['POST'], async ({ event, body }) => {
+    requireResearcher(event);
 
-    if (!response.ok) {
-      throw new Error(`Google Drive API error: ${response.status}`);
+    if (!body.folderId) {
+        throw new HttpError(400, 'Missing required parameter (folderId)', 'MISSING_FIELDS');
     }
 
-    const data = await response.json();
-    
-    return {
-      statusCode: 200,
-      headers: {
-        'Access-Control-Allow-Origin': '*',
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(data.files || []),
-    };
-    
-  } catch (error) {
-    console.error('Error fetching Drive files:', error);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({ error: 'Failed to fetch files' }),
-    };
-  }
-};
\ No newline at end of file
+    return listFolder(await getServiceAccountToken(), body.folderId);
+}, { cors: false });
@@ -0,0 +1,13 @@
+const { createJsonHandler } = require('../lib/http');
+const { getStudyConfig } = require('../lib/studyConfig');
+const { createSheetStore } = require('../lib/sheetStore');
+const { listStudyVideos } = require('../lib/videos');
+
+/**
+ * Netlify Function returning the study's videos from the SelectedVideos sheet.
+ */
+exports.handler = createJsonHandler(['GET', 'POST'], async () => {
+    const config = getStudyConfig();
+    const videos = await listStudyVideos(createSheetStore(config), config);
+    return { videos };
+});
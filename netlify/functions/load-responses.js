@@ -0,0 +1,15 @@
+const { createJsonHandler } = require('../lib/http');
+const { getStudyConfig } = require('../lib/studyConfig');
+const { createSheetStore } = require('../lib/sheetStore');
+const { loadResponses } = require('../lib/responses');
+const { requireParticipant } = require('../lib/session');
+
+/**
+ * Netlify Function returning the Movements rows of the participant behind the session token.
+ */
+exports.handler = createJsonHandler(['POST'], async ({ event }) => {
+    const session = requireParticipant(event);
+    const config = getStudyConfig();
+    const responses = await loadResponses(createSheetStore(config), config, session.participantId);
+    return { responses };
+});
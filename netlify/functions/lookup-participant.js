@@ -0,0 +1,28 @@
+const { createJsonHandler } = require('../lib/http');
+const { getStudyConfig } = require('../lib/studyConfig');
+const { createSheetStore } = require('../lib/sheetStore');
+const { findParticipantByEmail, findParticipantByCode, findParticipantByRecruitment } = require('../lib/participants');
+const { withParticipantSession } = require('../lib/session');
+
+/**
+ * Netlify Function that looks up a returning participant by email, or by access/resume code in the
+ * code login modes (`{ code }` instead of `{ email }`; an unknown code is 404 ACCESS_CODE_INVALID),
+ * or by the panel ids of a recruitment platform (`{ recruitment: { participantId, studyId, sessionId } }`).
+ * Responds with `{ participant: null }` for an unknown email, an unused access code or a new panel
+ * participant so the page can show the registration form.
+ * Only a code is a secret, so only a code lookup returns a session that may edit or delete responses.
+ */
+exports.handler = createJsonHandler(['POST'], async ({ body }) => {
+    const config = getStudyConfig();
+    const store = createSheetStore(config);
+    let participant;
+    if (body.recruitment !== undefined) {
+        participant = await findParticipantByRecruitment(store, config, body.recruitment);
+    } else if (body.code !== undefined) {
+        participant = await findParticipantByCode(store, config, body.code);
+    } else {
+        participant = await findParticipantByEmail(store, config, body.email);
+    }
+    const canEdit = body.recruitment === undefined && body.code !== undefined;
+    return { participant: participant ? withParticipantSession(participant, { canEdit }) : null };
+});
@@ -0,0 +1,17 @@
+const { createJsonHandler } = require('../lib/http');
+const { getStudyConfig } = require('../lib/studyConfig');
+const { createSheetStore } = require('../lib/sheetStore');
+const { recordConsent } = require('../lib/participants');
+const { requireParticipant, withParticipantSession } = require('../lib/session');
+
+/**
+ * Netlify Function that records a returning participant's agreement to the current consent form.
+ * The session may predate that version; the participant comes back with a new session token
+ * carrying it, which the other participant functions require; it keeps the old token's edit rights.
+ */
+exports.handler = createJsonHandler(['POST'], async ({ event, body }) => {
+    const session = requireParticipant(event, { requireConsent: false });
+    const config = getStudyConfig();
+    const participant = await recordConsent(createSheetStore(config), config, session.participantId, body.consentVersion);
+    return { participant: withParticipantSession(participant, { canEdit: session.canEdit }) };
+});
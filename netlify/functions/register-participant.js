@@ -0,0 +1,18 @@
+const { createJsonHandler } = require('../lib/http');
+const { getStudyConfig } = require('../lib/studyConfig');
+const { createSheetStore } = require('../lib/sheetStore');
+const { registerParticipant } = require('../lib/participants');
+const { withParticipantSession } = require('../lib/session');
+
+/**
+ * Netlify Function that registers a new participant.
+ * IDs are allocated under a sheet lock so simultaneous registrations never share a participantId,
+ * and an email that is already registered is rejected with 409 EMAIL_REGISTERED.
+ * The participant comes back with a session token for the other participant functions, which may
+ * edit and delete the responses saved under it.
+ */
+exports.handler = createJsonHandler(['POST'], async ({ body }) => {
+    const config = getStudyConfig();
+    const participant = await registerParticipant(createSheetStore(config), config, body);
+    return { participant: withParticipantSession(participant, { canEdit: true }) };
+});
@@ -0,0 +1,11 @@
+const { createJsonHandler } = require('../lib/http');
+const { createResearcherSession } = require('../lib/session');
+
+/**
+ * Netlify Function exchanging the researcher passphrase for a session cookie (admin.html).
+ */
+exports.handler = createJsonHandler(['POST'], async ({ body, responseHeaders }) => {
+    const { cookie, expiresAt } = createResearcherSession(body.passphrase);
+    responseHeaders['Set-Cookie'] = cookie;
+    return { expiresAt };
+}, { cors: false });
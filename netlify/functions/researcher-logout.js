@@ -0,0 +1,10 @@
+const { createJsonHandler } = require('../lib/http');
+const { clearResearcherSession } = require('../lib/session');
+
+/**
+ * Netlify Function ending the researcher session.
+ */
+exports.handler = createJsonHandler(['POST'], async ({ responseHeaders }) => {
+    responseHeaders['Set-Cookie'] = clearResearcherSession();
+    return {};
+}, { cors: false });
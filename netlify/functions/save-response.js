@@ -0,0 +1,19 @@
+const { createJsonHandler } = require('../lib/http');
+const { getStudyConfig } = require('../lib/studyConfig');
+const { createSheetStore } = require('../lib/sheetStore');
+const { saveResponse } = require('../lib/responses');
+const { readAudioReceipt } = require('../lib/driveAudio');
+const { requireParticipant } = require('../lib/session');
+
+/**
+ * Netlify Function that appends one response to the Movements sheet.
+ * participantId and participantName are taken from the session token, not the request body,
+ * and audioFileName from the audioReceipt of the upload finished for this responseId.
+ */
+exports.handler = createJsonHandler(['POST'], async ({ event, body }) => {
+    const session = requireParticipant(event);
+    const config = getStudyConfig();
+    const data = { ...body.response, audioFileName: readAudioReceipt(body.response?.audioReceipt, session, body.response?.responseId) };
+    const response = await saveResponse(createSheetStore(config), config, session, data);
+    return { response };
+});
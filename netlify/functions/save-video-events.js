@@ -0,0 +1,15 @@
+const { createJsonHandler } = require('../lib/http');
+const { getStudyConfig } = require('../lib/studyConfig');
+const { createSheetStore } = require('../lib/sheetStore');
+const { saveVideoEvents } = require('../lib/videoEvents');
+const { requireParticipant } = require('../lib/session');
+
+/**
+ * Netlify Function that appends one trial's batch of video player events to the VideoEvents sheet.
+ * participantId is taken from the session token, not the request body.
+ */
+exports.handler = createJsonHandler(['POST'], async ({ event, body }) => {
+    const session = requireParticipant(event);
+    const config = getStudyConfig();
+    return saveVideoEvents(createSheetStore(config), config, session, body.batch);
+});
@@ -0,0 +1,32 @@
+const { createJsonHandler, HttpError } = require('../lib/http');
+const { getStudyConfig } = require('../lib/studyConfig');
+const { requireParticipant } = require('../lib/session');
+const { CHUNK_SIZE, startResumableUpload, issueUploadToken } = require('../lib/driveAudio');
+
+/**
+ * Netlify Function that opens a resumable Drive upload for one audio clip.
+ * Returns the upload token and chunk size the browser uses with upload-audio-chunk. The upload
+ * belongs to the response named by responseId; only that response can be saved with the clip.
+ */
+exports.handler = createJsonHandler(['POST'], async ({ event, body }) => {
+    const session = requireParticipant(event);
+    const { filename, responseId, mimeType, size } = body;
+
+    if (!filename || !responseId) {
+        throw new HttpError(400, 'Missing required parameters (filename, responseId)', 'MISSING_FIELDS');
+    }
+
+    // Drive names are taken literally, but keep them free of quotes and path separators
+    const fileName = String(filename).replace(/[^\w.:-]/g, '_');
+    const sessionUri = await startResumableUpload(getStudyConfig(), session, {
+        fileName,
+        mimeType: mimeType || 'audio/webm',
+        size: parseInt(size)
+    });
+
+    return {
+        uploadToken: issueUploadToken(session, sessionUri, parseInt(size), String(responseId)),
+        chunkSize: CHUNK_SIZE,
+        fileName
+    };
+});
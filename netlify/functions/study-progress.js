@@ -0,0 +1,18 @@
+const { createJsonHandler } = require('../lib/http');
+const { getStudyConfig } = require('../lib/studyConfig');
+const { createSheetStore } = require('../lib/sheetStore');
+const { obtainDate } = require('../lib/dates');
+const { requireResearcher } = require('../lib/session');
+const { readStudySheets } = require('../lib/studyExport');
+const { summarizeStudyProgress } = require('../lib/studyProgress');
+
+/**
+ * Netlify Function returning the study progress shown on the researcher dashboard.
+ * Researchers only (session cookie from researcher-login).
+ */
+exports.handler = createJsonHandler(['GET', 'POST'], async ({ event }) => {
+    requireResearcher(event);
+    const config = getStudyConfig();
+    const sheets = await readStudySheets(createSheetStore(config), config);
+    return { generatedAt: obtainDate(), ...summarizeStudyProgress(sheets, config) };
+}, { cors: false });
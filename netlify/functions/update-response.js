@@ -0,0 +1,32 @@
+const { createJsonHandler } = require('../lib/http');
+const { getStudyConfig } = require('../lib/studyConfig');
+const { createSheetStore } = require('../lib/sheetStore');
+const { updateResponse } = require('../lib/responses');
+const { readAudioReceipt, trashAudioFile } = require('../lib/driveAudio');
+const { requireParticipant } = require('../lib/session');
+
+/**
+ * Netlify Function that rewrites one of the participant's Movements rows, matched by responseId.
+ * A new clip is named by the audioReceipt of its finished upload. When the audio is replaced or
+ * removed, the old clip is moved to the Drive trash.
+ * Sessions from an email or panel id lookup are refused with 403 EDIT_NOT_ALLOWED.
+ */
+exports.handler = createJsonHandler(['POST'], async ({ event, body }) => {
+    const session = requireParticipant(event, { requireEdit: true });
+    const config = getStudyConfig();
+    const { audioReceipt, ...changes } = body.changes || {};
+    // Without a new clip the stored file name stays; one sent by the browser is never used
+    changes.audioFileName = audioReceipt ? readAudioReceipt(audioReceipt, session, body.responseId) : undefined;
+    const { response, previous } = await updateResponse(createSheetStore(config), config, session, body.responseId, changes);
+
+    if (previous.audioFileName && previous.audioFileName !== response.audioFileName) {
+        try {
+            await trashAudioFile(config, session, previous.audioFileName);
+        } catch (error) {
+            // The row is already updated; an orphaned clip is harmless, so only log it
+            console.error(`Failed to trash replaced audio ${previous.audioFileName}:`, error);
+        }
+    }
+
+    return { response };
+});
@@ -0,0 +1,38 @@
+const { createJsonHandler, HttpError } = require('../lib/http');
+const { requireParticipant } = require('../lib/session');
+const { readUploadToken, issueAudioReceipt, uploadChunk, getUploadStatus } = require('../lib/driveAudio');
+
+/**
+ * Netlify Function forwarding one chunk of an audio upload to its Drive session.
+ * The body is the raw bytes, located by `Content-Range: bytes start-end/total`. An empty body with
+ * `Content-Range: bytes *\/total` only asks how many bytes Drive has, to resume after a dropped connection.
+ * Responds with `{ complete, received }`, plus `fileId`/`fileName` and the `audioReceipt` to save the
+ * response with once the last byte is stored.
+ */
+exports.handler = createJsonHandler(['POST'], async ({ event, body }) => {
+    const session = requireParticipant(event);
+    const headers = event.headers || {};
+    const { sessionUri, size, responseId } = readUploadToken(headers['x-upload-token'], session);
+
+    const range = /^bytes (\*|(\d+)-(\d+))\/(\d+)$/.exec(headers['content-range'] || '');
+    if (!range || parseInt(range[4]) !== size) {
+        throw new HttpError(400, 'Content-Range must be "bytes start-end/total" or "bytes */total"', 'INVALID_RANGE');
+    }
+
+    let state;
+    if (range[1] === '*') {
+        state = await getUploadStatus(sessionUri, size);
+    } else {
+        const start = parseInt(range[2]);
+        const end = parseInt(range[3]);
+        if (end < start || end >= size || body.length !== end - start + 1) {
+            throw new HttpError(400, 'Chunk length does not match Content-Range', 'INVALID_RANGE');
+        }
+        state = await uploadChunk(sessionUri, body, start, size);
+    }
+
+    if (state.complete) {
+        state.audioReceipt = issueAudioReceipt(session, state.fileName, responseId);
+    }
+    return state;
+}, { rawBody: true });
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+const { obtainDate } = require('./dates');
+const { readTable } = require('./sheetSchema');
+
+/**
+ * How participants identify themselves, chosen by `loginMode` in sheet-info.json:
+ *   email        the email entered on index.html finds the participant (the default)
+ *   access-code  the experimenter issues codes (npm run issue-codes) and hands one to each
+ *                participant; the first use registers them, later uses resume their session
+ *   anonymous    no email is asked for; registration hands out a resume code to note down
+ * Codes live in the AccessCodes sheet (code | participantId | issuedAt | usedAt), which is what
+ * maps a code to its participant. Only the mode in use is accepted by the lookup.
+ */
+
+const LOGIN_MODES = ['email', 'access-code', 'anonymous'];
+
+// No 0/O, 1/I/L: codes are read off paper and typed by hand
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+/**
+ * Login mode configured for the study
+ * @param {Object} config - Study configuration
+ * @returns {string} - One of LOGIN_MODES
+ */
+function getLoginMode(config) {
+    const mode = config.loginMode || 'email';
+    if (!LOGIN_MODES.includes(mode)) {
+        throw new HttpError(500, `Unknown loginMode "${mode}" in sheet-info.json`, 'STUDY_CONFIG_INVALID');
+    }
+    return mode;
+}
+
+/**
+ * Refuse a lookup or registration made the way another mode works
+ * @param {Object} config - Study configuration
+ * @param {Array<string>} modes - Modes the operation belongs to
+ */
+function requireLoginMode(config, modes) {
+    if (!modes.includes(getLoginMode(config))) {
+        throw new HttpError(400, `This study does not use ${modes.join(' or ')} login`, 'LOGIN_MODE_MISMATCH');
+    }
+}
+
+// Codes are shown as "ABCD-EFGH"; case, spaces and dashes do not matter when they are typed in
+function normalizeAccessCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function generateAccessCode() {
+    const characters = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]);
+    return `${characters.slice(0, 4).join('')}-${characters.slice(4).join('')}`;
+}
+
+// A code not yet in the sheet
+function generateUniqueAccessCode(table) {
+    const taken = new Set(table.rows.map(row => normalizeAccessCode(table.get(row, 'code'))));
+    let code;
+    do {
+        code = generateAccessCode();
+    } while (taken.has(normalizeAccessCode(code)));
+    return code;
+}
+
+/**
+ * Find a code in the AccessCodes sheet
+ * @param {SheetTable} table - AccessCodes sheet
+ * @param {string} code - Code as typed by the participant
+ * @returns {number} - Row index in table.rows
+ */
+function findAccessCodeRow(table, code) {
+    const normalized = normalizeAccessCode(code);
+    const rowIndex = normalized ? table.rows.findIndex(row => normalizeAccessCode(table.get(row, 'code')) === normalized) : -1;
+    if (rowIndex === -1) {
+        throw new HttpError(404, 'Unknown access code', 'ACCESS_CODE_INVALID');
+    }
+    return rowIndex;
+}
+
+/**
+ * Append new, unused access codes (access-code mode)
+ * @param {Object} store - Sheet store
+ * @param {Object} config - Study configuration
+ * @param {number} count - Number of codes to issue
+ * @returns {Promise<Array<string>>} - The new codes
+ */
+async function issueAccessCodes(store, config, count) {
+    const table = await readTable(store, config, 'accessCodes');
+    const issuedAt = obtainDate();
+    const codes = [];
+    for (let i = 0; i < count; i++) {
+        const code = generateUniqueAccessCode(table);
+        codes.push(code);
+        // Keep the new code in view so the next one cannot repeat it
+        table.rows.push(table.toRow({ code }));
+    }
+
+    await store.appendValues(config.spreadsheetId, table.sheetName, codes.map(code => table.toRow({ code, participantId: '', issuedAt, usedAt: '' })));
+    return codes;
+}
+
+module.exports = {
+    LOGIN_MODES,
+    getLoginMode,
+    requireLoginMode,
+    normalizeAccessCode,
+    generateUniqueAccessCode,
+    findAccessCodeRow,
+    issueAccessCodes
+};
@@ -0,0 +1,143 @@
+const { HttpError } = require('./http');
+const { NO_ONOMATOPOEIA } = require('./sheetSchema');
+
+/**
+ * Attention checks mixed into the video sequence, configured as `catchTrials` in sheet-info.json:
+ *   { "id": "type-blue", "type": "instruction", "video": "catch-blue.mp4", "expected": "blue", "position": 4 }
+ *   { "id": "repeat-2", "type": "repeat", "repeats": 2, "position": 9 }
+ * An instruction trial is a video telling the participant what to type; it passes when one of the
+ * descriptions saved for it matches `expected` (a word, or a list of accepted words). A repeat trial
+ * shows the participant's `repeats`-th video again and passes when both answers agree: both say there
+ * is nothing to describe, or they share a description. `position` is 1-based in the sequence the
+ * participant sees (VideoManager.insertCatchTrials).
+ *
+ * Catch-trial rows carry the trial id in the catchTrial column of Movements and are left out of
+ * video coverage. A participant is flagged once `catchTrialFailLimit` (default 1) of their trials fail.
+ */
+
+const CATCH_TRIAL_TYPES = ['instruction', 'repeat'];
+const DEFAULT_FAIL_LIMIT = 1;
+
+function invalidTrial(trial, problem) {
+    return new HttpError(500, `Catch trial "${trial.id || ''}" in sheet-info.json ${problem}`, 'STUDY_CONFIG_INVALID');
+}
+
+/**
+ * Catch trials configured for the study
+ * @param {Object} config - Study configuration
+ * @returns {Array<Object>} - The catchTrials entries, checked
+ */
+function getCatchTrials(config) {
+    const trials = config.catchTrials || [];
+    if (!Array.isArray(trials)) {
+        throw new HttpError(500, 'catchTrials in sheet-info.json must be a list', 'STUDY_CONFIG_INVALID');
+    }
+
+    const ids = new Set();
+    trials.forEach(trial => {
+        if (!trial.id || ids.has(trial.id)) {
+            throw invalidTrial(trial, 'needs an id of its own');
+        }
+        ids.add(trial.id);
+        if (!CATCH_TRIAL_TYPES.includes(trial.type)) {
+            throw invalidTrial(trial, `has unknown type "${trial.type}"`);
+        }
+        if (!(parseInt(trial.position) > 0)) {
+            throw invalidTrial(trial, 'needs a position of 1 or more');
+        }
+        if (trial.type === 'instruction' && (!trial.video || !trial.expected)) {
+            throw invalidTrial(trial, 'needs a video and the expected answer');
+        }
+        if (trial.type === 'repeat' && !(parseInt(trial.repeats) > 0)) {
+            throw invalidTrial(trial, 'needs the position of the video it repeats');
+        }
+        // The repeat has to come after the video it repeats, or the participant sees it first
+        if (trial.type === 'repeat' && parseInt(trial.repeats) >= parseInt(trial.position)) {
+            throw invalidTrial(trial, 'needs a position after the video it repeats (repeats less than position)');
+        }
+    });
+    return trials;
+}
+
+/**
+ * Look up the catch trial a response is saved for
+ * @param {Object} config - Study configuration
+ * @param {string} id - catchTrial sent with the response
+ * @returns {Object} - The configured trial
+ */
+function findCatchTrial(config, id) {
+    const trial = getCatchTrials(config).find(candidate => candidate.id === id);
+    if (!trial) {
+        throw new HttpError(400, `Unknown catch trial "${id}"`, 'INVALID_CATCH_TRIAL');
+    }
+    return trial;
+}
+
+// Answers are compared ignoring case, full/half width and surrounding spaces
+function normalizeAnswer(text) {
+    return String(text ?? '').normalize('NFKC').trim().toLowerCase();
+}
+
+function describesNothing(responses) {
+    return responses.every(response => response.movement === NO_ONOMATOPOEIA);
+}
+
+/**
+ * Score one catch trial
+ * @param {Object} trial - Configured trial
+ * @param {Array<Object>} trialResponses - The participant's live responses for the trial
+ * @param {Array<Object>} studyResponses - The participant's live responses outside catch trials
+ * @returns {string|null} - 'passed', 'failed', or null while it cannot be scored yet
+ */
+function scoreCatchTrial(trial, trialResponses, studyResponses) {
+    if (!trialResponses.length) {
+        return null;
+    }
+
+    if (trial.type === 'instruction') {
+        const accepted = [].concat(trial.expected).map(normalizeAnswer);
+        return trialResponses.some(response => accepted.includes(normalizeAnswer(response.movement))) ? 'passed' : 'failed';
+    }
+
+    // Repeat: compare with what the participant answered the first time they saw the video
+    const originals = studyResponses.filter(response => response.video === trialResponses[0].video);
+    if (!originals.length) {
+        return null;
+    }
+    if (describesNothing(originals) || describesNothing(trialResponses)) {
+        return describesNothing(originals) && describesNothing(trialResponses) ? 'passed' : 'failed';
+    }
+    const firstAnswers = new Set(originals.map(response => normalizeAnswer(response.movement)));
+    return trialResponses.some(response => firstAnswers.has(normalizeAnswer(response.movement))) ? 'passed' : 'failed';
+}
+
+/**
+ * Attention summary for one participant
+ * @param {Object} config - Study configuration (catchTrials, catchTrialFailLimit)
+ * @param {Array<Object>} responses - The participant's live responses (video, movement, catchTrial)
+ * @returns {Object} - { total, answered, passed, failed, flagged, results } where results maps each
+ *   trial id to 'passed', 'failed' or null
+ */
+function summarizeCatchTrials(config, responses) {
+    const trials = getCatchTrials(config);
+    const studyResponses = responses.filter(response => !response.catchTrial);
+    const results = {};
+    trials.forEach(trial => {
+        const trialResponses = responses.filter(response => response.catchTrial === trial.id);
+        results[trial.id] = scoreCatchTrial(trial, trialResponses, studyResponses);
+    });
+
+    const scores = Object.values(results);
+    const failed = scores.filter(score => score === 'failed').length;
+    const failLimit = parseInt(config.catchTrialFailLimit) || DEFAULT_FAIL_LIMIT;
+    return {
+        total: trials.length,
+        answered: trials.filter(trial => responses.some(response => response.catchTrial === trial.id)).length,
+        passed: scores.filter(score => score === 'passed').length,
+        failed,
+        flagged: trials.length > 0 && failed >= failLimit,
+        results
+    };
+}
+
+module.exports = { CATCH_TRIAL_TYPES, getCatchTrials, findCatchTrial, summarizeCatchTrials };
@@ -0,0 +1,8 @@
+/**
+ * Timestamp format used in every sheet (same as obtainDate in js/utils.js): 2024-01-31T12:34:56Z
+ */
+function obtainDate() {
+    return new Date().toISOString().split('.')[0] + 'Z';
+}
+
+module.exports = { obtainDate };
@@ -0,0 +1,274 @@
+const { driveApiBase, getServiceAccountToken } = require('./googleApi');
+const { HttpError } = require('./http');
+const { signToken, verifyToken } = require('./session');
+const { FOLDER_MIME_TYPE } = require('./driveFiles');
+
+/**
+ * Audio uploads to Drive through resumable upload sessions.
+ * Files land in {audioDriveFolderId}/Audio/{participantId}_{name}/. The browser sends the clip in
+ * chunks through upload-audio-chunk, which forwards each one to the session URI, so no single
+ * request has to carry the whole recording.
+ */
+
+const AUDIO_FOLDER_NAME = 'Audio';
+
+// Same cap as AudioRecordingService
+const MAX_AUDIO_BYTES = 10 * 1024 * 1024;
+
+// Drive requires every chunk but the last to be a multiple of 256 KiB
+const CHUNK_SIZE = 4 * 256 * 1024;
+
+// Drive keeps an unfinished session for a week
+const UPLOAD_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Same folder naming the survey has always used: "12_Jane_Doe"
+function participantFolderName(session) {
+    const safeName = String(session.participantName || 'unknown').replace(/[^a-zA-Z0-9]/g, '_').substring(0, 20);
+    return `${session.participantId}_${safeName}`;
+}
+
+function escapeQueryValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+async function driveRequest(url, accessToken, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            ...options.headers
+        }
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Drive API error ${response.status}: ${errorText}`);
+    }
+    return response;
+}
+
+// First untrashed file called `name` in the parent folder, or null
+async function findFile(accessToken, name, parentId, mimeType = null) {
+    let query = `name='${escapeQueryValue(name)}' and '${escapeQueryValue(parentId)}' in parents and trashed=false`;
+    if (mimeType) {
+        query += ` and mimeType='${mimeType}'`;
+    }
+    const search = await driveRequest(
+        `${driveApiBase()}/drive/v3/files?q=${encodeURIComponent(query)}&fields=files(id,name)`,
+        accessToken
+    );
+    const { files = [] } = await search.json();
+    return files.length > 0 ? files[0].id : null;
+}
+
+async function findOrCreateFolder(accessToken, name, parentId) {
+    const existingId = await findFile(accessToken, name, parentId, FOLDER_MIME_TYPE);
+    if (existingId) {
+        return existingId;
+    }
+
+    const created = await driveRequest(`${driveApiBase()}/drive/v3/files`, accessToken, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, mimeType: FOLDER_MIME_TYPE, parents: [parentId] })
+    });
+    return (await created.json()).id;
+}
+
+/**
+ * Create the participant's folder if needed and open a resumable upload session for one clip
+ * @param {Object} config - Study configuration (audioDriveFolderId)
+ * @param {Object} session - { participantId, participantName } from requireParticipant
+ * @param {Object} file - { fileName, mimeType, size }
+ * @returns {Promise<string>} - Session URI that accepts the file's bytes
+ */
+async function startResumableUpload(config, session, { fileName, mimeType, size }) {
+    if (!Number.isInteger(size) || size <= 0 || size > MAX_AUDIO_BYTES) {
+        throw new HttpError(400, `Audio size must be between 1 byte and ${MAX_AUDIO_BYTES} bytes`, 'INVALID_SIZE');
+    }
+
+    const accessToken = await getServiceAccountToken();
+    const audioFolderId = await findOrCreateFolder(accessToken, AUDIO_FOLDER_NAME, config.audioDriveFolderId);
+    const participantFolderId = await findOrCreateFolder(accessToken, participantFolderName(session), audioFolderId);
+
+    const response = await driveRequest(
+        `${driveApiBase()}/upload/drive/v3/files?uploadType=resumable&fields=id,name,webViewLink`,
+        accessToken,
+        {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json; charset=UTF-8',
+                'X-Upload-Content-Type': mimeType,
+                'X-Upload-Content-Length': String(size)
+            },
+            body: JSON.stringify({ name: fileName, parents: [participantFolderId] })
+        }
+    );
+
+    const sessionUri = response.headers.get('location');
+    if (!sessionUri) {
+        throw new Error('Drive did not return a resumable session URI');
+    }
+    return sessionUri;
+}
+
+/**
+ * Wrap a session URI for the browser; signing it means a client cannot point the chunk
+ * function at any other URL or at another participant's upload
+ * @param {Object} session - Participant session
+ * @param {string} sessionUri - From startResumableUpload
+ * @param {number} size - File size in bytes
+ * @param {string} responseId - Response the clip is recorded for
+ * @returns {string} - Upload token
+ */
+function issueUploadToken(session, sessionUri, size, responseId) {
+    return signToken({ role: 'audio-upload', participantId: session.participantId, sessionUri, size, responseId }, UPLOAD_TOKEN_TTL_SECONDS);
+}
+
+/**
+ * Resolve an upload token issued to this participant
+ * @param {string} uploadToken - From issueUploadToken
+ * @param {Object} session - Participant session
+ * @returns {Object} - { sessionUri, size, responseId }
+ */
+function readUploadToken(uploadToken, session) {
+    const claims = verifyToken(uploadToken);
+    if (!claims || claims.role !== 'audio-upload') {
+        throw new HttpError(410, 'The upload session has expired; start the upload again', 'UPLOAD_EXPIRED');
+    }
+    if (String(claims.participantId) !== String(session.participantId)) {
+        throw new HttpError(403, 'This upload belongs to another participant', 'UPLOAD_FORBIDDEN');
+    }
+    return { sessionUri: claims.sessionUri, size: claims.size, responseId: claims.responseId };
+}
+
+/**
+ * Receipt for a finished upload, sent back with the response the clip belongs to
+ * The stored audioFileName is only ever read from a receipt, and a receipt only fits the response
+ * the upload was opened for, so a response cannot name a file the participant did not upload for it
+ * (and that update/delete would later move to the trash from under another response).
+ * @param {Object} session - Participant session
+ * @param {string} fileName - Name Drive gave the uploaded file
+ * @param {string} responseId - Response the upload was opened for (from the upload token)
+ * @returns {string} - Audio receipt
+ */
+function issueAudioReceipt(session, fileName, responseId) {
+    return signToken({ role: 'audio-file', participantId: session.participantId, fileName, responseId }, UPLOAD_TOKEN_TTL_SECONDS);
+}
+
+/**
+ * Resolve an audio receipt issued to this participant for this response
+ * @param {string} audioReceipt - From issueAudioReceipt; empty for a response without audio
+ * @param {Object} session - Participant session
+ * @param {string} responseId - Response being saved or updated with the clip
+ * @returns {string} - Drive file name in the participant's folder, or '' without a receipt
+ */
+function readAudioReceipt(audioReceipt, session, responseId) {
+    if (!audioReceipt) {
+        return '';
+    }
+    const claims = verifyToken(audioReceipt);
+    if (!claims || claims.role !== 'audio-file' || String(claims.participantId) !== String(session.participantId) ||
+        !claims.responseId || claims.responseId !== String(responseId)) {
+        throw new HttpError(400, 'The audio receipt is invalid or has expired; upload the clip again', 'INVALID_AUDIO_RECEIPT');
+    }
+    return claims.fileName;
+}
+
+// Drive answers 308 while bytes are still missing, with `Range: bytes=0-N` covering what it holds
+async function readUploadState(response, total) {
+    if (response.status === 308) {
+        const range = /bytes=0-(\d+)/.exec(response.headers.get('range') || '');
+        return { complete: false, received: range ? parseInt(range[1]) + 1 : 0 };
+    }
+    if (response.status === 404 || response.status === 410) {
+        throw new HttpError(410, 'The upload session has expired; start the upload again', 'UPLOAD_EXPIRED');
+    }
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Drive upload error ${response.status}: ${errorText}`);
+    }
+
+    const file = await response.json();
+    return { complete: true, received: total, fileId: file.id, fileName: file.name, webViewLink: file.webViewLink };
+}
+
+/**
+ * Forward one chunk to the upload session
+ * @param {string} sessionUri - From startResumableUpload
+ * @param {Buffer} chunk - Bytes starting at `start`
+ * @param {number} start - Offset of the chunk in the file
+ * @param {number} total - File size in bytes
+ * @returns {Promise<Object>} - { complete, received, fileId?, fileName?, webViewLink? }
+ */
+async function uploadChunk(sessionUri, chunk, start, total) {
+    const accessToken = await getServiceAccountToken();
+    const response = await fetch(sessionUri, {
+        method: 'PUT',
+        redirect: 'manual',
+        headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Range': `bytes ${start}-${start + chunk.length - 1}/${total}`
+        },
+        body: chunk
+    });
+    return readUploadState(response, total);
+}
+
+/**
+ * Ask the upload session how many bytes it has, e.g. after a dropped connection
+ * @param {string} sessionUri - From startResumableUpload
+ * @param {number} total - File size in bytes
+ * @returns {Promise<Object>} - Same shape as uploadChunk
+ */
+async function getUploadStatus(sessionUri, total) {
+    const accessToken = await getServiceAccountToken();
+    const response = await fetch(sessionUri, {
+        method: 'PUT',
+        redirect: 'manual',
+        headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Range': `bytes */${total}`
+        }
+    });
+    return readUploadState(response, total);
+}
+
+/**
+ * Move one of the participant's clips to the Drive trash (e.g. when its response is edited or deleted)
+ * Trashed files stay recoverable for 30 days, in case a participant removes something by mistake.
+ * @param {Object} config - Study configuration (audioDriveFolderId)
+ * @param {Object} session - { participantId, participantName } from requireParticipant
+ * @param {string} fileName - audioFileName stored with the response
+ * @returns {Promise<boolean>} - false when no such file was found
+ */
+async function trashAudioFile(config, session, fileName) {
+    const accessToken = await getServiceAccountToken();
+    const audioFolderId = await findFile(accessToken, AUDIO_FOLDER_NAME, config.audioDriveFolderId, FOLDER_MIME_TYPE);
+    const participantFolderId = audioFolderId && await findFile(accessToken, participantFolderName(session), audioFolderId, FOLDER_MIME_TYPE);
+    const fileId = participantFolderId && await findFile(accessToken, fileName, participantFolderId);
+    if (!fileId) {
+        return false;
+    }
+
+    await driveRequest(`${driveApiBase()}/drive/v3/files/${encodeURIComponent(fileId)}`, accessToken, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ trashed: true })
+    });
+    return true;
+}
+
+module.exports = {
+    AUDIO_FOLDER_NAME,
+    CHUNK_SIZE,
+    MAX_AUDIO_BYTES,
+    startResumableUpload,
+    issueUploadToken,
+    readUploadToken,
+    issueAudioReceipt,
+    readAudioReceipt,
+    uploadChunk,
+    getUploadStatus,
+    trashAudioFile
+};
@@ -0,0 +1,62 @@
+const { driveApiBase } = require('./googleApi');
+
+/**
+ * Read-only Drive helpers shared by fetch-drive-files and the study export.
+ */
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const PAGE_SIZE = 1000;
+
+async function driveGet(url, accessToken) {
+    const response = await fetch(url, {
+        headers: { 'Authorization': `Bearer ${accessToken}` }
+    });
+    if (!response.ok) {
+        throw new Error(`Google Drive API error: ${response.status}`);
+    }
+    return response;
+}
+
+/**
+ * List the untrashed files directly inside a folder, following Drive's paging
+ * @param {string} accessToken - OAuth token with Drive access
+ * @param {string} folderId - Parent folder
+ * @param {string} fields - File fields to return
+ * @returns {Promise<Array<Object>>} - Drive file resources
+ */
+async function listFolder(accessToken, folderId, fields = 'id,name,mimeType') {
+    const query = `'${String(folderId).replace(/'/g, "\\'")}' in parents and trashed=false`;
+    const files = [];
+    let pageToken = null;
+
+    do {
+        const params = new URLSearchParams({
+            q: query,
+            fields: `nextPageToken,files(${fields})`,
+            pageSize: String(PAGE_SIZE)
+        });
+        if (pageToken) {
+            params.set('pageToken', pageToken);
+        }
+
+        const response = await driveGet(`${driveApiBase()}/drive/v3/files?${params}`, accessToken);
+        const data = await response.json();
+        files.push(...(data.files || []));
+        pageToken = data.nextPageToken || null;
+    } while (pageToken);
+
+    return files;
+}
+
+/**
+ * Download a file's contents
+ * @param {string} accessToken - OAuth token with Drive access
+ * @param {string} fileId - File to download
+ * @returns {Promise<Buffer>}
+ */
+async function downloadFile(accessToken, fileId) {
+    const response = await driveGet(`${driveApiBase()}/drive/v3/files/${encodeURIComponent(fileId)}?alt=media`, accessToken);
+    return Buffer.from(await response.arrayBuffer());
+}
+
+module.exports = { FOLDER_MIME_TYPE, listFolder, downloadFile };
@@ -0,0 +1,85 @@
+const { HttpError } = require('./http');
+
+/**
+ * The emotions participants choose from on the survey page, configured as `emotions` in
+ * sheet-info.json (js/emotionTaxonomy.js builds emotionSelect from the same entry):
+ *   {
+ *     "options": [
+ *       { "value": "high-arousal-positive", "labels": { "en": "Excited", "ja": "興奮" } },
+ *       "joy"
+ *     ],
+ *     "allowOther": true
+ *   }
+ * Options are listed in the order they are offered. An option given as a plain value, or without a
+ * label for the page's language, is labelled from survey.emotion_options in lang/*.json. With
+ * `allowOther` the list ends with "other", saved with the participant's own words in the optional
+ * Movements column emotionOther. Without `emotions` the study offers DEFAULT_EMOTIONS.
+ */
+
+const DEFAULT_EMOTIONS = ['joy', 'sadness', 'anger', 'surprise', 'fear', 'disgust', 'contempt'];
+const OTHER_EMOTION = 'other';
+
+function invalidTaxonomy(problem) {
+    return new HttpError(500, `emotions in sheet-info.json ${problem}`, 'STUDY_CONFIG_INVALID');
+}
+
+/**
+ * Emotion taxonomy configured for the study
+ * @param {Object} config - Study configuration
+ * @returns {Object} - { options: [{ value, labels }], allowOther }, checked
+ */
+function getEmotionTaxonomy(config) {
+    if (!config.emotions) {
+        return { options: DEFAULT_EMOTIONS.map(value => ({ value, labels: {} })), allowOther: false };
+    }
+    if (!Array.isArray(config.emotions.options) || !config.emotions.options.length) {
+        throw invalidTaxonomy('needs a list of options');
+    }
+
+    const values = new Set();
+    const options = config.emotions.options.map(option => {
+        const { value, labels = {} } = typeof option === 'string' ? { value: option } : option;
+        if (typeof value !== 'string' || !value.trim() || values.has(value)) {
+            throw invalidTaxonomy('needs a value of its own for every option');
+        }
+        if (value === OTHER_EMOTION) {
+            throw invalidTaxonomy(`reserves "${OTHER_EMOTION}" for allowOther`);
+        }
+        if (typeof labels !== 'object' || Object.values(labels).some(label => typeof label !== 'string')) {
+            throw invalidTaxonomy(`needs the labels of "${value}" as text by language`);
+        }
+        values.add(value);
+        return { value, labels };
+    });
+    return { options, allowOther: Boolean(config.emotions.allowOther) };
+}
+
+/**
+ * Check the emotion of a response against the taxonomy
+ * A response describing nothing saves no emotion, so an empty one is accepted.
+ * @param {Object} config - Study configuration
+ * @param {string} emotion - Value chosen in emotionSelect
+ * @param {string} emotionOther - The participant's own words when the value is "other"
+ * @returns {Object} - { emotion, emotionOther } as stored in the sheet
+ */
+function normalizeEmotion(config, emotion, emotionOther) {
+    const value = String(emotion || '').trim();
+    if (!value) {
+        return { emotion: '', emotionOther: '' };
+    }
+
+    const { options, allowOther } = getEmotionTaxonomy(config);
+    if (allowOther && value === OTHER_EMOTION) {
+        const text = String(emotionOther || '').trim();
+        if (!text) {
+            throw new HttpError(400, 'An "other" emotion needs its description (emotionOther)', 'INVALID_EMOTION');
+        }
+        return { emotion: value, emotionOther: text };
+    }
+    if (!options.some(option => option.value === value)) {
+        throw new HttpError(400, `Unknown emotion "${value}"`, 'INVALID_EMOTION');
+    }
+    return { emotion: value, emotionOther: '' };
+}
+
+module.exports = { DEFAULT_EMOTIONS, OTHER_EMOTION, getEmotionTaxonomy, normalizeEmotion };
@@ -0,0 +1,62 @@
+const { JWT } = require('google-auth-library');
+
+/**
+ * Google API endpoints and service-account auth used by the Netlify functions.
+ * Setting GOOGLE_API_EMULATOR_URL points every call at the local stand-in
+ * (scripts/google-api-emulator.js) instead of Google, e.g. http://localhost:8787.
+ */
+
+const SCOPES = [
+    'https://www.googleapis.com/auth/spreadsheets',
+    'https://www.googleapis.com/auth/drive.file'
+];
+
+// Token cache shared by all invocations served by a warm function instance
+let tokenCache = {
+    token: null,
+    expiry: null
+};
+
+function isEmulated() {
+    return Boolean(process.env.GOOGLE_API_EMULATOR_URL);
+}
+
+// Base for Drive metadata (/drive/v3/...) and upload (/upload/drive/v3/...) endpoints
+function driveApiBase() {
+    return process.env.GOOGLE_API_EMULATOR_URL || 'https://www.googleapis.com';
+}
+
+// Base for Sheets endpoints (/v4/spreadsheets/...)
+function sheetsApiBase() {
+    return process.env.GOOGLE_API_EMULATOR_URL || 'https://sheets.googleapis.com';
+}
+
+/**
+ * Obtain an access token for the service account in GOOGLE_APPLICATION_CREDENTIALS_CONTENT
+ * @returns {Promise<string>} - Bearer token valid for Sheets and Drive
+ */
+async function getServiceAccountToken() {
+    // The local Google API emulator accepts any bearer token, so skip the service account
+    if (isEmulated()) {
+        return 'emulator-token';
+    }
+
+    if (tokenCache.token && tokenCache.expiry && Date.now() < tokenCache.expiry) {
+        return tokenCache.token;
+    }
+
+    const credentials = JSON.parse(process.env.GOOGLE_APPLICATION_CREDENTIALS_CONTENT || '{}');
+    if (!credentials.client_email || !credentials.private_key) {
+        throw new Error('Missing Google credentials in environment variables');
+    }
+
+    const auth = new JWT(credentials.client_email, null, credentials.private_key, SCOPES);
+    await auth.authorize();
+    const { token } = await auth.getAccessToken();
+
+    // Cache the token for 50 minutes (Google issues them for 60)
+    tokenCache = { token, expiry: Date.now() + 50 * 60 * 1000 };
+    return token;
+}
+
+module.exports = { isEmulated, driveApiBase, sheetsApiBase, getServiceAccountToken };
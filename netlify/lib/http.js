@@ -0,0 +1,80 @@
+/**
+ * Request/response plumbing shared by the JSON Netlify functions.
+ */
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, Content-Range, X-Upload-Token',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+// Error carrying the HTTP status and a machine-readable code for the client
+class HttpError extends Error {
+    constructor(statusCode, message, code = null) {
+        super(message);
+        this.statusCode = statusCode;
+        this.code = code;
+    }
+}
+
+function jsonResponse(statusCode, body, headers = {}, cors = true) {
+    return {
+        statusCode,
+        headers: { ...(cors ? CORS_HEADERS : {}), 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    };
+}
+
+// Netlify hands binary request bodies over base64-encoded
+function readRawBody(event) {
+    return Buffer.from(event.body || '', event.isBase64Encoded ? 'base64' : 'utf8');
+}
+
+/**
+ * Wrap a handler that receives `{ event, body, query, responseHeaders }` and returns a JSON-serializable result.
+ * Handles CORS preflight, method checks, body parsing and error mapping.
+ * Headers the handler puts in `responseHeaders` (e.g. Set-Cookie) are added to the success response.
+ * @param {Array<string>} methods - Allowed HTTP methods
+ * @param {Function} handler - Async handler returning the response body
+ * @param {Object} options - { rawBody: true } passes the request body as a Buffer instead of parsed JSON;
+ *   { cors: false } leaves out the CORS headers, for functions only the site's own pages may call
+ * @returns {Function} - Netlify handler
+ */
+function createJsonHandler(methods, handler, options = {}) {
+    const cors = options.cors !== false;
+
+    return async (event) => {
+        if (event.httpMethod === 'OPTIONS') {
+            return { statusCode: 200, headers: cors ? CORS_HEADERS : {}, body: '' };
+        }
+
+        if (!methods.includes(event.httpMethod)) {
+            return jsonResponse(405, { error: 'Method not allowed' }, {}, cors);
+        }
+
+        try {
+            let body = {};
+            if (options.rawBody) {
+                body = readRawBody(event);
+            } else if (event.body) {
+                try {
+                    body = JSON.parse(event.body);
+                } catch (_error) {
+                    throw new HttpError(400, 'Request body must be valid JSON', 'INVALID_JSON');
+                }
+            }
+
+            const responseHeaders = {};
+            const result = await handler({ event, body, query: event.queryStringParameters || {}, responseHeaders });
+            return jsonResponse(200, result, responseHeaders, cors);
+        } catch (error) {
+            if (error instanceof HttpError) {
+                return jsonResponse(error.statusCode, { error: error.message, code: error.code }, {}, cors);
+            }
+            console.error('Unhandled function error:', error);
+            return jsonResponse(500, { error: 'Internal server error', details: error.message }, {}, cors);
+        }
+    };
+}
+
+module.exports = { CORS_HEADERS, HttpError, jsonResponse, createJsonHandler };
@@ -0,0 +1,100 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { parseRange, readRange, writeCells, appendRows } = require('./sheetGrid');
+const { defaultSheetValues } = require('./sheetSchema');
+
+/**
+ * File-backed sheet store used by the "local" storage backend.
+ * Keeps every sheet as an array of rows in a JSON file so the app can run without Google credentials.
+ * Exposes the same methods as GoogleSheetStore (see sheetStore.js).
+ */
+class LocalSheetStore {
+    constructor(filePath = process.env.LOCAL_STORAGE_FILE || path.join(process.cwd(), 'tmp', 'local-storage.json')) {
+        this.filePath = filePath;
+        // Serialize access so concurrent requests cannot interleave read-modify-write cycles
+        this.chain = Promise.resolve();
+    }
+
+    static isEnabled() {
+        return process.env.NETLIFY_DEV === 'true' || process.env.LOCAL_STORAGE_ENABLED === 'true';
+    }
+
+    withLock(task) {
+        const run = this.chain.then(task, task);
+        this.chain = run.catch(() => {});
+        return run;
+    }
+
+    async read() {
+        try {
+            return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { spreadsheets: {} };
+            }
+            throw error;
+        }
+    }
+
+    async write(store) {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(this.filePath, JSON.stringify(store, null, 2));
+    }
+
+    // Run `task(store)` under the lock and persist the store afterwards
+    mutate(task) {
+        return this.withLock(async () => {
+            const store = await this.read();
+            const result = await task(store);
+            await this.write(store);
+            return result;
+        });
+    }
+
+    getSheet(store, spreadsheetId, sheetName) {
+        const spreadsheet = store.spreadsheets[spreadsheetId] ||= { nextSheetId: 0, sheets: {} };
+
+        if (!spreadsheet.sheets[sheetName]) {
+            spreadsheet.sheets[sheetName] = {
+                sheetId: spreadsheet.nextSheetId++,
+                values: defaultSheetValues(sheetName)
+            };
+        }
+
+        return spreadsheet.sheets[sheetName];
+    }
+
+    async getValues(spreadsheetId, range) {
+        return this.mutate(store => {
+            const parsed = parseRange(range);
+            return readRange(this.getSheet(store, spreadsheetId, parsed.sheetName).values, parsed);
+        });
+    }
+
+    async appendValues(spreadsheetId, sheetName, rows) {
+        return this.mutate(store => {
+            const sheet = this.getSheet(store, spreadsheetId, sheetName);
+            return { spreadsheetId, updates: appendRows(sheet.values, sheetName, rows) };
+        });
+    }
+
+    async updateValues(spreadsheetId, range, values) {
+        return this.mutate(store => {
+            const { sheetName, startRow, startCol } = parseRange(range);
+            writeCells(this.getSheet(store, spreadsheetId, sheetName).values, startRow, startCol, values);
+            return { spreadsheetId, updatedRange: range, updatedRows: values.length };
+        });
+    }
+
+    async batchUpdateValues(spreadsheetId, data) {
+        return this.mutate(store => {
+            data.forEach(({ range, values }) => {
+                const { sheetName, startRow, startCol } = parseRange(range);
+                writeCells(this.getSheet(store, spreadsheetId, sheetName).values, startRow, startCol, values);
+            });
+            return { spreadsheetId, totalUpdatedRows: data.reduce((total, { values }) => total + values.length, 0) };
+        });
+    }
+}
+
+module.exports = { LocalSheetStore };
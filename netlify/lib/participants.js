@@ -0,0 +1,297 @@
+const { HttpError } = require('./http');
+const { withSheetLock } = require('./sheetLock');
+const { obtainDate } = require('./dates');
+const { readTable, requireColumns } = require('./sheetSchema');
+const { listStudyVideos, readStudyVideos } = require('./videos');
+const { getVideoOrderStrategy, assignVideoOrder, formatVideoOrder, parseVideoOrder } = require('./videoOrder');
+const { isSubsetEnabled, countVideoLoad, selectVideoSubset } = require('./videoSubset');
+const { getLoginMode, requireLoginMode, generateUniqueAccessCode, findAccessCodeRow } = require('./accessCodes');
+const { readRecruitment, findRecruitmentRow } = require('./recruitment');
+
+/**
+ * Participant operations run server-side so ID allocation cannot race between browsers.
+ * Each participant is given their videos (a balanced subset when configured, see videoSubset.js)
+ * and their order (see videoOrder.js) when they register; both are stored on their row as
+ * videoOrder, so a returning participant sees the same sequence. A study showing every participant
+ * all the videos in SelectedVideos order stores nothing and may leave those columns out.
+ *
+ * With `consentVersion` set in sheet-info.json, registration needs the participant's agreement to
+ * that version; the version and the time of agreement are stored as consentVersion/consentTimestamp,
+ * columns a study without a consent form may leave out.
+ * A returning participant whose stored version differs agrees again through recordConsent.
+ *
+ * Depending on `loginMode` (see accessCodes.js) participants come back by email or by code; in the
+ * code modes no email is stored and the participant record carries its `accessCode` instead.
+ * Participants sent by a recruitment panel (see recruitment.js) are identified by their panel id
+ * whatever the login mode.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+// Sheets hands every cell back as a string
+function rowToParticipant(table, row) {
+    const participant = table.read(row);
+    participant.participantId = parseInt(participant.participantId);
+    participant.age = parseInt(participant.age);
+    participant.videoOrder = parseVideoOrder(participant.videoOrder);
+    participant.consentVersion = participant.consentVersion || '';
+    return participant;
+}
+
+// The video order columns are optional in the schema; once participants see different videos or
+// orders, the study cannot run without them
+function requireVideoOrderColumns(config, table) {
+    if (getVideoOrderStrategy(config) !== 'fixed' || isSubsetEnabled(config)) {
+        requireColumns(table, ['videoOrderStrategy', 'videoOrder'], 'the video order');
+    }
+}
+
+// Participants sheet, checked for the optional columns the study's configuration writes
+async function readParticipantTable(store, config) {
+    const table = await readTable(store, config, 'participants');
+    requireVideoOrderColumns(config, table);
+    if (config.consentVersion) {
+        requireColumns(table, ['consentVersion', 'consentTimestamp'], 'consent');
+    }
+    return table;
+}
+
+// The consent form shown on index.html must be the one the study currently asks for
+function validateConsent(config, consentVersion) {
+    if (config.consentVersion && consentVersion !== config.consentVersion) {
+        throw new HttpError(400, 'Agreement to the current consent form is required', 'CONSENT_REQUIRED');
+    }
+}
+
+// Mirror of the browser-side checks in IndexApp.validateAndCollectFormData
+function validateRegistration(data, loginMode) {
+    const age = parseInt(data.age);
+
+    if (loginMode === 'email' && !EMAIL_PATTERN.test(String(data.email || '').trim())) {
+        throw new HttpError(400, 'A valid email is required', 'INVALID_EMAIL');
+    }
+    if (!String(data.name || '').trim()) {
+        throw new HttpError(400, 'Name is required', 'INVALID_NAME');
+    }
+    if (isNaN(age) || age <= 0 || age >= 150) {
+        throw new HttpError(400, 'Age must be between 1 and 149', 'INVALID_AGE');
+    }
+    if (!String(data.gender || '').trim() || !String(data.nativeLanguage || '').trim()) {
+        throw new HttpError(400, 'Gender and native language are required', 'MISSING_FIELDS');
+    }
+}
+
+/**
+ * Register a participant with a unique, sequential participantId
+ * The read-max-append cycle runs under a sheet lock, and duplicate emails and reused access codes
+ * are rejected inside it.
+ * @param {Object} store - Sheet store
+ * @param {Object} config - Study configuration
+ * @param {Object} data - { email, name, age, gender, nativeLanguage, consentVersion }, with
+ *   accessCode instead of email in access-code mode and neither in anonymous mode; participants
+ *   from a recruitment panel send recruitment ({ participantId, studyId, sessionId }) instead
+ * @returns {Promise<Object>} - Stored participant record (with its accessCode in the code modes)
+ */
+async function registerParticipant(store, config, data) {
+    const recruitment = readRecruitment(config, data.recruitment);
+    const loginMode = recruitment ? 'recruitment' : getLoginMode(config);
+    validateRegistration(data, loginMode);
+    validateConsent(config, data.consentVersion);
+    const email = loginMode === 'email' ? String(data.email).trim() : '';
+    const videos = await readStudyVideos(store, config);
+
+    return withSheetLock(store, config, 'participants', async () => {
+        const table = await readParticipantTable(store, config);
+        const usesCodes = loginMode === 'access-code' || loginMode === 'anonymous';
+        const codeTable = usesCodes ? await readTable(store, config, 'accessCodes') : null;
+
+        if (recruitment && findRecruitmentRow(table, recruitment.recruitmentParticipantId) !== -1) {
+            throw new HttpError(409, 'This recruitment participant id is already registered', 'RECRUITMENT_ID_REGISTERED');
+        }
+
+        let codeRowIndex = -1;
+        if (loginMode === 'access-code') {
+            codeRowIndex = findAccessCodeRow(codeTable, data.accessCode);
+            if (codeTable.get(codeTable.rows[codeRowIndex], 'participantId')) {
+                throw new HttpError(409, 'This access code has already been used', 'ACCESS_CODE_USED');
+            }
+        }
+
+        let maxId = 0;
+        for (const row of table.rows) {
+            if (email && normalizeEmail(table.get(row, 'email')) === normalizeEmail(email)) {
+                throw new HttpError(409, 'This email is already registered', 'EMAIL_REGISTERED');
+            }
+            const id = parseInt(table.get(row, 'participantId'));
+            if (!isNaN(id) && id > maxId) {
+                maxId = id;
+            }
+        }
+
+        const participantId = maxId + 1;
+        let assignedVideos = videos.map(({ video }) => video);
+        if (isSubsetEnabled(config)) {
+            const responseTable = await readTable(store, config, 'responses');
+            assignedVideos = selectVideoSubset(config, videos, countVideoLoad(table, responseTable), participantId);
+        }
+        const videoOrder = assignVideoOrder(config, assignedVideos, participantId);
+        const participant = {
+            participantId,
+            email,
+            name: String(data.name).trim(),
+            age: parseInt(data.age),
+            gender: data.gender,
+            nativeLanguage: data.nativeLanguage,
+            registrationTimestamp: obtainDate(),
+            videoOrderStrategy: videoOrder.strategy,
+            videoOrder: videoOrder.videos,
+            consentVersion: config.consentVersion || '',
+            consentTimestamp: config.consentVersion ? obtainDate() : '',
+            ...recruitment
+        };
+
+        await store.appendValues(config.spreadsheetId, table.sheetName, [
+            table.toRow({ ...participant, videoOrder: formatVideoOrder(participant.videoOrder) })
+        ]);
+
+        if (loginMode === 'access-code') {
+            const codeRow = codeTable.toRow({ participantId, usedAt: participant.registrationTimestamp }, codeTable.rows[codeRowIndex]);
+            await store.updateValues(config.spreadsheetId, codeTable.rowRange(codeRowIndex), [codeRow]);
+            participant.accessCode = codeTable.get(codeRow, 'code');
+        } else if (loginMode === 'anonymous') {
+            participant.accessCode = generateUniqueAccessCode(codeTable);
+            await store.appendValues(config.spreadsheetId, codeTable.sheetName, [codeTable.toRow({
+                code: participant.accessCode,
+                participantId,
+                issuedAt: participant.registrationTimestamp,
+                usedAt: participant.registrationTimestamp
+            })]);
+        }
+
+        return participant;
+    });
+}
+
+// Participants from before assignment was stored kept working on every video; give them an order
+async function readParticipantRow(store, config, table, rowIndex) {
+    let row = table.rows[rowIndex];
+    // Without the column every participant works through SelectedVideos as listed
+    if (table.columns.videoOrder !== undefined && !table.get(row, 'videoOrder')) {
+        const videoOrder = assignVideoOrder(config, await listStudyVideos(store, config), table.get(row, 'participantId'));
+        row = table.toRow({ videoOrderStrategy: videoOrder.strategy, videoOrder: formatVideoOrder(videoOrder.videos) }, row);
+        await store.updateValues(config.spreadsheetId, table.rowRange(rowIndex), [row]);
+    }
+    return rowToParticipant(table, row);
+}
+
+/**
+ * Look up a registered participant by email (case-insensitive)
+ * Participants registered before video orders were stored are given one here. The assignment only
+ * depends on the study and the participantId, so two lookups racing write the same order.
+ * @param {Object} store - Sheet store
+ * @param {Object} config - Study configuration
+ * @param {string} email - Email entered on the login step
+ * @returns {Promise<Object|null>} - Participant record, or null when the email is not registered
+ */
+async function findParticipantByEmail(store, config, email) {
+    requireLoginMode(config, ['email']);
+    if (!EMAIL_PATTERN.test(String(email || '').trim())) {
+        throw new HttpError(400, 'A valid email is required', 'INVALID_EMAIL');
+    }
+
+    const table = await readParticipantTable(store, config);
+    const rowIndex = table.rows.findIndex(candidate =>
+        normalizeEmail(table.get(candidate, 'email')) === normalizeEmail(email)
+    );
+    if (rowIndex === -1) {
+        return null;
+    }
+
+    return readParticipantRow(store, config, table, rowIndex);
+}
+
+/**
+ * Look up a participant sent by a recruitment panel
+ * A new panel session of a participant already registered is recorded on their row.
+ * @param {Object} store - Sheet store
+ * @param {Object} config - Study configuration
+ * @param {Object} data - { participantId, studyId, sessionId } from the query string
+ * @returns {Promise<Object|null>} - Participant record, or null when the panel id is not registered yet
+ */
+async function findParticipantByRecruitment(store, config, data) {
+    const recruitment = readRecruitment(config, data);
+
+    const table = await readParticipantTable(store, config);
+    const rowIndex = findRecruitmentRow(table, recruitment.recruitmentParticipantId);
+    if (rowIndex === -1) {
+        return null;
+    }
+
+    const row = table.rows[rowIndex];
+    if (recruitment.recruitmentSessionId && table.get(row, 'recruitmentSessionId') !== recruitment.recruitmentSessionId) {
+        await store.updateValues(config.spreadsheetId, table.cellRange(rowIndex, 'recruitmentSessionId'), [[recruitment.recruitmentSessionId]]);
+        row[table.columns.recruitmentSessionId] = recruitment.recruitmentSessionId;
+    }
+    return readParticipantRow(store, config, table, rowIndex);
+}
+
+/**
+ * Look up a participant by access or resume code (access-code and anonymous modes)
+ * @param {Object} store - Sheet store
+ * @param {Object} config - Study configuration
+ * @param {string} code - Code entered on the login step
+ * @returns {Promise<Object|null>} - Participant record with its accessCode, or null for an
+ *   issued code nobody has registered with yet
+ */
+async function findParticipantByCode(store, config, code) {
+    requireLoginMode(config, ['access-code', 'anonymous']);
+
+    const codeTable = await readTable(store, config, 'accessCodes');
+    const codeRow = codeTable.rows[findAccessCodeRow(codeTable, code)];
+    const participantId = codeTable.get(codeRow, 'participantId');
+    if (!participantId) {
+        return null;
+    }
+
+    const table = await readParticipantTable(store, config);
+    const rowIndex = table.rows.findIndex(row => String(table.get(row, 'participantId')) === String(participantId));
+    if (rowIndex === -1) {
+        throw new HttpError(404, 'Participant not found', 'PARTICIPANT_NOT_FOUND');
+    }
+    const participant = await readParticipantRow(store, config, table, rowIndex);
+    return { ...participant, accessCode: codeTable.get(codeRow, 'code') };
+}
+
+/**
+ * Record a returning participant's agreement to the current consent version
+ * @param {Object} store - Sheet store
+ * @param {Object} config - Study configuration
+ * @param {number} participantId - Participant from the session
+ * @param {string} consentVersion - Version of the form the participant agreed to
+ * @returns {Promise<Object>} - Updated participant record
+ */
+async function recordConsent(store, config, participantId, consentVersion) {
+    validateConsent(config, consentVersion);
+
+    const table = await readParticipantTable(store, config);
+    const rowIndex = table.rows.findIndex(row => String(table.get(row, 'participantId')) === String(participantId));
+    if (rowIndex === -1) {
+        throw new HttpError(404, 'Participant not found', 'PARTICIPANT_NOT_FOUND');
+    }
+
+    const row = table.toRow({ consentVersion: config.consentVersion || '', consentTimestamp: obtainDate() }, table.rows[rowIndex]);
+    await store.updateValues(config.spreadsheetId, table.rowRange(rowIndex), [row]);
+    return rowToParticipant(table, row);
+}
+
+module.exports = {
+    registerParticipant,
+    findParticipantByEmail,
+    findParticipantByCode,
+    findParticipantByRecruitment,
+    recordConsent
+};
@@ -0,0 +1,67 @@
+const { HttpError } = require('./http');
+const { requireColumns } = require('./sheetSchema');
+
+/**
+ * Recruitment panels (Prolific and the like) send participants to index.html with their panel
+ * ids in the query string. With `recruitment` set in sheet-info.json those ids take the place of
+ * the login step: the panel participant id finds or registers the participant, and the three ids
+ * are kept on the Participants row (recruitmentParticipantId, recruitmentStudyId,
+ * recruitmentSessionId). The completion redirect itself happens in the browser (SurveyApp).
+ */
+
+// Panel ids are opaque tokens; anything else in the query string is refused rather than stored
+const RECRUITMENT_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+function isRecruitmentEnabled(config) {
+    return Boolean(config.recruitment);
+}
+
+function readId(value, name, required) {
+    const id = String(value ?? '').trim();
+    if (!id && !required) {
+        return '';
+    }
+    if (!RECRUITMENT_ID_PATTERN.test(id)) {
+        throw new HttpError(400, `Invalid recruitment ${name}`, 'INVALID_RECRUITMENT_ID');
+    }
+    return id;
+}
+
+/**
+ * Check the panel ids sent by the page
+ * @param {Object} config - Study configuration
+ * @param {Object} data - { participantId, studyId, sessionId } from the query string, or undefined
+ * @returns {Object|null} - { recruitmentParticipantId, recruitmentStudyId, recruitmentSessionId },
+ *   or null when the participant did not come from a panel
+ */
+function readRecruitment(config, data) {
+    if (data === undefined || data === null) {
+        return null;
+    }
+    if (!isRecruitmentEnabled(config)) {
+        throw new HttpError(400, 'This study does not take participants from a recruitment panel', 'RECRUITMENT_DISABLED');
+    }
+    return {
+        recruitmentParticipantId: readId(data.participantId, 'participant id', true),
+        recruitmentStudyId: readId(data.studyId, 'study id', false),
+        recruitmentSessionId: readId(data.sessionId, 'session id', false)
+    };
+}
+
+// The recruitment columns are optional in the schema; a panel study cannot run without them
+function requireRecruitmentColumns(table) {
+    requireColumns(table, ['recruitmentParticipantId', 'recruitmentStudyId', 'recruitmentSessionId'], 'recruitment');
+}
+
+/**
+ * Find the participant registered with a panel participant id
+ * @param {SheetTable} table - Participants sheet
+ * @param {string} recruitmentParticipantId - Panel participant id
+ * @returns {number} - Row index in table.rows, -1 when not registered yet
+ */
+function findRecruitmentRow(table, recruitmentParticipantId) {
+    requireRecruitmentColumns(table);
+    return table.rows.findIndex(row => table.get(row, 'recruitmentParticipantId') === recruitmentParticipantId);
+}
+
+module.exports = { readRecruitment, findRecruitmentRow };
@@ -0,0 +1,367 @@
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+const { obtainDate } = require('./dates');
+const { withSheetLock } = require('./sheetLock');
+const { NO_ONOMATOPOEIA, readTable } = require('./sheetSchema');
+const { findCatchTrial } = require('./catchTrials');
+const { normalizeEmotion } = require('./emotions');
+
+/**
+ * Reads and writes of Movements rows. The participant always comes from the session,
+ * never from the request body, so a participant can only see and change their own responses.
+ *
+ * Every row carries a responseId that edits and deletes are matched on. The survey page generates
+ * it when the participant starts an entry, so a retried or replayed save can be recognised and is
+ * never appended twice. Rows are never removed: a deleted response keeps its row with deletedAt
+ * set, so row positions stay stable and the researchers keep a record of what was withdrawn.
+ *
+ * Next to the segment, a response records how the video was playing when the segment was marked:
+ * playbackRate, and loopStart/loopEnd when a range was playing on a loop (an A–B loop, the preview
+ * of the selection or a saved segment), so analysts know the viewing conditions.
+ */
+
+const RESPONSE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Fields a participant may change on a saved response
+const EDITABLE_FIELDS = [
+    'movement', 'startTime', 'endTime', 'startFrame', 'endFrame', 'playbackRate', 'loopStart', 'loopEnd',
+    'emotion', 'emotionOther', 'hasAudio', 'audioFileName'
+];
+
+// A frame number belongs to the time it was captured with; a new time sent without one drops the old frame
+const FRAME_FIELDS = { startTime: 'startFrame', endTime: 'endFrame' };
+// Likewise the viewing conditions belong to the marking of the segment
+const VIEWING_FIELDS = ['playbackRate', 'loopStart', 'loopEnd'];
+const SEGMENT_FIELDS = [...Object.entries(FRAME_FIELDS).flat(), ...VIEWING_FIELDS];
+// Range of the survey's playback rate control
+const MIN_PLAYBACK_RATE = 0.25;
+const MAX_PLAYBACK_RATE = 2;
+
+// Optional columns a response may fill, by the feature that captures them
+const OPTIONAL_COLUMNS = {
+    'frame capture': Object.values(FRAME_FIELDS),
+    'viewing conditions': VIEWING_FIELDS,
+    '"other" emotions': ['emotionOther']
+};
+
+function rowToResponse(table, row) {
+    const response = table.read(row);
+    // Sheets hands every cell back as a string; restore the types the survey page works with
+    response.participantId = parseInt(response.participantId);
+    response.hasAudio = parseInt(response.hasAudio) || 0;
+    Object.values(FRAME_FIELDS).forEach(field => {
+        response[field] = isBlank(response[field]) ? null : parseInt(response[field]);
+    });
+    VIEWING_FIELDS.forEach(field => {
+        response[field] = isBlank(response[field]) ? null : parseFloat(response[field]);
+    });
+    delete response.deletedAt;
+    return response;
+}
+
+function isOwnLiveRow(table, row, participantId) {
+    return String(table.get(row, 'participantId')) === String(participantId) && !table.get(row, 'deletedAt');
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// Frames are optional: responses saved by pages from before frame capture only have seconds
+function parseFrame(value, field) {
+    if (isBlank(value)) {
+        return '';
+    }
+    const frame = Number(value);
+    if (!Number.isInteger(frame) || frame < 0) {
+        throw new HttpError(400, `${field} must be a non-negative whole frame number`, 'INVALID_FRAME');
+    }
+    return frame;
+}
+
+function parseTime(value, field) {
+    const time = parseFloat(value);
+    if (!Number.isFinite(time) || time < 0) {
+        throw new HttpError(400, `${field} must be a non-negative number of seconds`, 'INVALID_TIME');
+    }
+    return time;
+}
+
+// Viewing conditions are optional as well: pages from before they were logged send none
+function parseViewingConditions(data) {
+    let playbackRate = '';
+    if (!isBlank(data.playbackRate)) {
+        playbackRate = Number(data.playbackRate);
+        if (!(playbackRate >= MIN_PLAYBACK_RATE && playbackRate <= MAX_PLAYBACK_RATE)) {
+            throw new HttpError(400, `playbackRate must be between ${MIN_PLAYBACK_RATE} and ${MAX_PLAYBACK_RATE}`, 'INVALID_PLAYBACK_RATE');
+        }
+    }
+
+    if (isBlank(data.loopStart) && isBlank(data.loopEnd)) {
+        return { playbackRate, loopStart: '', loopEnd: '' };
+    }
+    const loopStart = Number(data.loopStart);
+    const loopEnd = Number(data.loopEnd);
+    if (!Number.isFinite(loopStart) || !Number.isFinite(loopEnd) || loopStart < 0 || loopEnd <= loopStart) {
+        throw new HttpError(400, 'loopStart and loopEnd must be a range of seconds, or both left out', 'INVALID_LOOP');
+    }
+    return { playbackRate, loopStart, loopEnd };
+}
+
+function normalizeMovement(data) {
+    const movement = String(data.movement || '').trim();
+    if (!movement) {
+        throw new HttpError(400, 'Movement description is required', 'MISSING_MOVEMENT');
+    }
+    return movement;
+}
+
+// Times, frames and viewing conditions of the segment a movement describes; all blank for "no onomatopoeia"
+function normalizeSegment(movement, data) {
+    if (movement === NO_ONOMATOPOEIA) {
+        return { startTime: '', endTime: '', startFrame: '', endFrame: '', playbackRate: '', loopStart: '', loopEnd: '' };
+    }
+
+    const startTime = parseTime(data.startTime, 'startTime');
+    const endTime = parseTime(data.endTime, 'endTime');
+    if (endTime <= startTime) {
+        throw new HttpError(400, 'endTime must come after startTime', 'INVALID_SEGMENT');
+    }
+    return {
+        startTime,
+        endTime,
+        startFrame: parseFrame(data.startFrame, 'startFrame'),
+        endFrame: parseFrame(data.endFrame, 'endFrame'),
+        ...parseViewingConditions(data)
+    };
+}
+
+// Check the participant-supplied fields and bring them into the shape stored in the sheet
+function normalizeResponseFields(config, data) {
+    const video = String(data.video || '').trim();
+    if (!video) {
+        throw new HttpError(400, 'Video is required', 'INVALID_VIDEO');
+    }
+
+    const movement = normalizeMovement(data);
+    return {
+        video,
+        movement,
+        ...normalizeSegment(movement, data),
+        hasAudio: data.hasAudio ? 1 : 0,
+        audioFileName: data.audioFileName || '',
+        ...normalizeEmotion(config, data.emotion, data.emotionOther),
+        catchTrial: String(data.catchTrial || '').trim()
+    };
+}
+
+// Captured frames and viewing conditions must not be dropped silently because the sheet has no column for them
+function requireOptionalColumns(table, response) {
+    Object.entries(OPTIONAL_COLUMNS).forEach(([feature, fields]) => {
+        const missing = fields.filter(field => !isBlank(response[field]) && table.columns[field] === undefined);
+        if (missing.length) {
+            throw new HttpError(500, `Sheet "${table.sheetName}" needs the ${missing.join(', ')} columns for ${feature}`, 'SHEET_SCHEMA_INVALID');
+        }
+    });
+}
+
+// The stored response a save repeats (even if deleted since), or null when the id is new
+function findSavedResponse(table, session, responseId) {
+    const existing = table.rows.find(row => table.get(row, 'responseId') === responseId);
+    if (!existing) {
+        return null;
+    }
+    if (String(table.get(existing, 'participantId')) !== String(session.participantId)) {
+        throw new HttpError(409, 'responseId is already in use', 'RESPONSE_ID_CONFLICT');
+    }
+    return rowToResponse(table, existing);
+}
+
+// Locate a live response of this participant; other participants' rows look the same as missing ones
+async function findResponseRow(store, config, session, responseId) {
+    if (!responseId) {
+        throw new HttpError(400, 'Missing required parameter (responseId)', 'MISSING_FIELDS');
+    }
+
+    const table = await readTable(store, config, 'responses');
+    const rowIndex = table.rows.findIndex(row =>
+        table.get(row, 'responseId') === String(responseId) && isOwnLiveRow(table, row, session.participantId)
+    );
+    if (rowIndex === -1) {
+        throw new HttpError(404, 'Response not found', 'RESPONSE_NOT_FOUND');
+    }
+    return { table, rowIndex, row: table.rows[rowIndex] };
+}
+
+/**
+ * Load every response saved by a participant
+ * Rows written before responses had an id are given one here, so they can be edited too. That runs
+ * under the participant's lock and writes every id in one request, so two tabs loading at once
+ * cannot give the same row different ids.
+ * @param {Object} store - Sheet store
+ * @param {Object} config - Study configuration
+ * @param {number} participantId - Participant from the session
+ * @returns {Promise<Array<Object>>} - Responses in sheet order, deleted ones left out
+ */
+async function loadResponses(store, config, participantId) {
+    const table = await readTable(store, config, 'responses');
+    const hasLegacyRows = table.rows.some(row => isOwnLiveRow(table, row, participantId) && !table.get(row, 'responseId'));
+    if (!hasLegacyRows) {
+        return readOwnResponses(table, participantId);
+    }
+
+    return withSheetLock(store, config, `responses:${participantId}`, async () => {
+        const lockedTable = await readTable(store, config, 'responses');
+        const updates = [];
+        lockedTable.rows.forEach((row, index) => {
+            if (isOwnLiveRow(lockedTable, row, participantId) && !lockedTable.get(row, 'responseId')) {
+                const responseId = crypto.randomUUID();
+                updates.push({ range: lockedTable.cellRange(index, 'responseId'), values: [[responseId]] });
+                row[lockedTable.columns.responseId] = responseId;
+            }
+        });
+        if (updates.length) {
+            await store.batchUpdateValues(config.spreadsheetId, updates);
+        }
+        return readOwnResponses(lockedTable, participantId);
+    });
+}
+
+function readOwnResponses(table, participantId) {
+    return table.rows
+        .filter(row => isOwnLiveRow(table, row, participantId))
+        .map(row => rowToResponse(table, row));
+}
+
+/**
+ * Append one response to the Movements sheet, unless a row with its responseId already exists
+ * Two copies of the same save arriving together can both miss the other's row and both append, so
+ * after appending the sheet is read again: the first row with the responseId is the response, and
+ * any later copy of this participant's is marked deleted.
+ * @param {Object} store - Sheet store
+ * @param {Object} config - Study configuration
+ * @param {Object} session - { participantId, participantName } from requireParticipant
+ * @param {Object} data - { responseId, video, movement, startTime, endTime, startFrame, endFrame, playbackRate, loopStart, loopEnd, answeredTimestamp, hasAudio, audioFileName, emotion, emotionOther, catchTrial }
+ * @returns {Promise<Object>} - Stored response (the existing one when this save is a repeat)
+ */
+async function saveResponse(store, config, session, data = {}) {
+    // Entries queued by a page from before client ids existed arrive without one
+    const responseId = data.responseId ? String(data.responseId) : crypto.randomUUID();
+    if (!RESPONSE_ID_PATTERN.test(responseId)) {
+        throw new HttpError(400, 'responseId must be a UUID', 'INVALID_RESPONSE_ID');
+    }
+
+    const response = {
+        participantId: session.participantId,
+        participantName: session.participantName,
+        ...normalizeResponseFields(config, data),
+        answeredTimestamp: data.answeredTimestamp || obtainDate(),
+        responseId
+    };
+    if (response.catchTrial) {
+        findCatchTrial(config, response.catchTrial);
+    }
+
+    const table = await readTable(store, config, 'responses');
+    const repeat = findSavedResponse(table, session, responseId);
+    if (repeat) {
+        return repeat;
+    }
+    // Without the column a catch-trial answer would pass for an ordinary response
+    if (response.catchTrial && table.columns.catchTrial === undefined) {
+        throw new HttpError(500, `Sheet "${table.sheetName}" needs a catchTrial column for the catch trials`, 'SHEET_SCHEMA_INVALID');
+    }
+    requireOptionalColumns(table, response);
+
+    await store.appendValues(config.spreadsheetId, table.sheetName, [table.toRow(response)]);
+    return removeDuplicateSaves(store, config, session, responseId);
+}
+
+// Mark every copy of a response after the first deleted and return the first
+async function removeDuplicateSaves(store, config, session, responseId) {
+    const table = await readTable(store, config, 'responses');
+    const [, ...duplicates] = table.rows
+        .map((row, index) => ({ row, index }))
+        .filter(({ row }) => table.get(row, 'responseId') === responseId);
+
+    const deletedAt = obtainDate();
+    for (const { row, index } of duplicates) {
+        if (isOwnLiveRow(table, row, session.participantId)) {
+            await store.updateValues(config.spreadsheetId, table.cellRange(index, 'deletedAt'), [[deletedAt]]);
+        }
+    }
+    return findSavedResponse(table, session, responseId);
+}
+
+/**
+ * Rewrite a saved response in place
+ * Fields left out of `changes` keep their stored value; video, participant and timestamp never change.
+ * Only the edited fields are checked, so a row whose stored values would no longer pass (an emotion
+ * since dropped from the study's list, say) can still be edited.
+ * @param {Object} store - Sheet store
+ * @param {Object} config - Study configuration
+ * @param {Object} session - { participantId, participantName } from requireParticipant
+ * @param {string} responseId - Response to change
+ * @param {Object} changes - Any of { movement, startTime, endTime, startFrame, endFrame, playbackRate, loopStart, loopEnd, emotion, emotionOther, hasAudio, audioFileName }
+ * @returns {Promise<Object>} - { response, previous } so the caller can clean up replaced audio
+ */
+async function updateResponse(store, config, session, responseId, changes = {}) {
+    const { table, rowIndex, row } = await findResponseRow(store, config, session, responseId);
+    const previous = rowToResponse(table, row);
+    const changed = field => changes[field] !== undefined;
+
+    const merged = { ...previous };
+    EDITABLE_FIELDS
+        .filter(changed)
+        .forEach(field => {
+            merged[field] = changes[field];
+        });
+    Object.entries(FRAME_FIELDS)
+        .filter(([timeField, frameField]) => changed(timeField) && !changed(frameField))
+        .forEach(([, frameField]) => {
+            merged[frameField] = '';
+        });
+    const timesChanged = Object.keys(FRAME_FIELDS).some(changed);
+    if (timesChanged && !VIEWING_FIELDS.some(changed)) {
+        VIEWING_FIELDS.forEach(field => {
+            merged[field] = '';
+        });
+    }
+
+    const response = {
+        ...previous,
+        hasAudio: merged.hasAudio ? 1 : 0,
+        audioFileName: merged.hasAudio ? merged.audioFileName || '' : ''
+    };
+    if (changed('movement')) {
+        response.movement = normalizeMovement(merged);
+    }
+    if (changed('movement') || SEGMENT_FIELDS.some(changed)) {
+        Object.assign(response, normalizeSegment(response.movement, merged));
+    }
+    if (changed('emotion') || changed('emotionOther')) {
+        Object.assign(response, normalizeEmotion(config, merged.emotion, merged.emotionOther));
+    }
+    requireOptionalColumns(table, response);
+
+    // Start from the stored row so columns added by the researchers keep their content
+    await store.updateValues(config.spreadsheetId, table.rowRange(rowIndex), [table.toRow(response, row)]);
+    return { response, previous };
+}
+
+/**
+ * Withdraw a saved response: its row stays in the sheet, marked with deletedAt
+ * @param {Object} store - Sheet store
+ * @param {Object} config - Study configuration
+ * @param {Object} session - { participantId, participantName } from requireParticipant
+ * @param {string} responseId - Response to delete
+ * @returns {Promise<Object>} - The deleted response
+ */
+async function deleteResponse(store, config, session, responseId) {
+    const { table, rowIndex, row } = await findResponseRow(store, config, session, responseId);
+
+    await store.updateValues(config.spreadsheetId, table.cellRange(rowIndex, 'deletedAt'), [[obtainDate()]]);
+    return rowToResponse(table, row);
+}
+
+module.exports = { loadResponses, saveResponse, updateResponse, deleteResponse };
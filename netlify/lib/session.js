@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+const { isEmulated } = require('./googleApi');
+const { LocalSheetStore } = require('./localSheetStore');
+const { getStudyConfig } = require('./studyConfig');
+
+/**
+ * Signed, expiring session tokens issued by the functions instead of Google credentials.
+ * A token is `base64url(JSON payload).base64url(HMAC-SHA256)` keyed with SESSION_SECRET.
+ *
+ * Participants carry their token in the Authorization header; it records the consent version they
+ * agreed to, and participant functions refuse it once `consentVersion` in sheet-info.json moves on.
+ * Only tokens from registration or an access/resume code carry `canEdit`; an email or panel id alone
+ * is enough to continue the survey but not to change or withdraw saved responses.
+ * Researchers exchange the
+ * RESEARCHER_PASSPHRASE for a token kept in an HttpOnly, SameSite=Strict cookie, so admin
+ * functions are only reachable from the site's own pages by someone who knows the passphrase.
+ */
+
+const PARTICIPANT_SESSION_TTL_SECONDS = 30 * 24 * 60 * 60;
+const RESEARCHER_SESSION_TTL_SECONDS = 8 * 60 * 60;
+const RESEARCHER_COOKIE_NAME = 'researcher_session';
+
+// Local development (netlify dev, the file-backed store or the API emulator) runs without a configured secret
+const DEVELOPMENT_SECRET = 'local-development-session-secret';
+
+function isLocalDevelopment() {
+    return LocalSheetStore.isEnabled() || isEmulated();
+}
+
+function getSessionSecret() {
+    if (process.env.SESSION_SECRET) {
+        return process.env.SESSION_SECRET;
+    }
+    if (isLocalDevelopment()) {
+        return DEVELOPMENT_SECRET;
+    }
+    throw new Error('SESSION_SECRET is not configured');
+}
+
+function signature(encodedPayload, secret) {
+    return crypto.createHmac('sha256', secret).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Sign a payload
+ * @param {Object} payload - Claims to carry
+ * @param {number} ttlSeconds - Lifetime of the token
+ * @returns {string} - Signed token
+ */
+function signToken(payload, ttlSeconds) {
+    const claims = { ...payload, exp: Math.floor(Date.now() / 1000) + ttlSeconds };
+    const encodedPayload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return `${encodedPayload}.${signature(encodedPayload, getSessionSecret())}`;
+}
+
+/**
+ * Check a token's signature and expiry
+ * @param {string} token - Token from signToken
+ * @returns {Object|null} - Claims, or null when the token is malformed, forged or expired
+ */
+function verifyToken(token) {
+    const [encodedPayload, providedSignature] = String(token || '').split('.');
+    if (!encodedPayload || !providedSignature) {
+        return null;
+    }
+
+    const expected = Buffer.from(signature(encodedPayload, getSessionSecret()));
+    const provided = Buffer.from(providedSignature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        return null;
+    }
+
+    try {
+        const claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+        return claims.exp > Date.now() / 1000 ? claims : null;
+    } catch (_error) {
+        return null;
+    }
+}
+
+/**
+ * Attach a participant session token to a participant record returned to the browser
+ * @param {Object} participant - Participant record
+ * @param {Object} options - { canEdit: true } lets the session edit and delete saved responses
+ * @returns {Object} - Participant with `sessionToken` and `canEdit`
+ */
+function withParticipantSession(participant, options = {}) {
+    const canEdit = options.canEdit === true;
+    const sessionToken = signToken({
+        role: 'participant',
+        participantId: participant.participantId,
+        participantName: participant.name || participant.email,
+        consentVersion: participant.consentVersion || '',
+        canEdit
+    }, PARTICIPANT_SESSION_TTL_SECONDS);
+    return { ...participant, sessionToken, canEdit };
+}
+
+/**
+ * Resolve the participant behind the request's `Authorization: Bearer <sessionToken>` header
+ * @param {Object} event - Netlify event
+ * @param {Object} options - { requireConsent: false } lets in a participant who has not agreed to
+ *   the current consent version yet (only record-consent needs that); { requireEdit: true } refuses
+ *   a session without edit rights with 403 EDIT_NOT_ALLOWED
+ * @returns {Object} - { participantId, participantName, canEdit }
+ */
+function requireParticipant(event, options = {}) {
+    const headers = event.headers || {};
+    const authorization = headers.authorization || headers.Authorization || '';
+    const claims = verifyToken(authorization.replace(/^Bearer\s+/i, ''));
+
+    if (!claims || claims.role !== 'participant') {
+        throw new HttpError(401, 'Participant session is missing or expired', 'SESSION_INVALID');
+    }
+    const { consentVersion } = getStudyConfig();
+    if (options.requireConsent !== false && consentVersion && claims.consentVersion !== consentVersion) {
+        throw new HttpError(403, 'The participant has not agreed to the current consent form', 'CONSENT_REQUIRED');
+    }
+    if (options.requireEdit && !claims.canEdit) {
+        throw new HttpError(403, 'This session may not change saved responses', 'EDIT_NOT_ALLOWED');
+    }
+    return { participantId: claims.participantId, participantName: claims.participantName, canEdit: claims.canEdit === true };
+}
+
+// Hash both sides first so the comparison takes the same time whatever the lengths
+function passphraseMatches(provided, expected) {
+    const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(provided), digest(expected));
+}
+
+function researcherCookie(value, maxAgeSeconds) {
+    const attributes = [
+        `${RESEARCHER_COOKIE_NAME}=${value}`,
+        'Path=/.netlify/functions',
+        `Max-Age=${maxAgeSeconds}`,
+        'HttpOnly',
+        'SameSite=Strict'
+    ];
+    // Local development is served over plain http
+    if (!isLocalDevelopment()) {
+        attributes.push('Secure');
+    }
+    return attributes.join('; ');
+}
+
+/**
+ * Exchange the researcher passphrase for a session cookie
+ * There is no development default: set RESEARCHER_PASSPHRASE (any value) to try the admin pages locally.
+ * @param {string} passphrase - Passphrase typed on admin.html
+ * @returns {Object} - { cookie, expiresAt } with the Set-Cookie value and the expiry in epoch seconds
+ */
+function createResearcherSession(passphrase) {
+    const expected = process.env.RESEARCHER_PASSPHRASE;
+    if (!expected) {
+        throw new HttpError(503, 'Researcher access is not configured', 'RESEARCHER_NOT_CONFIGURED');
+    }
+    if (!passphrase || !passphraseMatches(passphrase, expected)) {
+        throw new HttpError(401, 'Wrong passphrase', 'PASSPHRASE_INVALID');
+    }
+
+    const token = signToken({ role: 'researcher' }, RESEARCHER_SESSION_TTL_SECONDS);
+    return {
+        cookie: researcherCookie(token, RESEARCHER_SESSION_TTL_SECONDS),
+        expiresAt: verifyToken(token).exp
+    };
+}
+
+// Set-Cookie value that removes the researcher session
+function clearResearcherSession() {
+    return researcherCookie('', 0);
+}
+
+/**
+ * Check the researcher session cookie on an admin-only request
+ * @param {Object} event - Netlify event
+ * @returns {Object} - Session claims
+ */
+function requireResearcher(event) {
+    const headers = event.headers || {};
+    const cookies = String(headers.cookie || headers.Cookie || '').split(';').map(cookie => cookie.trim());
+    const sessionCookie = cookies.find(cookie => cookie.startsWith(`${RESEARCHER_COOKIE_NAME}=`));
+    const claims = verifyToken(sessionCookie ? sessionCookie.slice(RESEARCHER_COOKIE_NAME.length + 1) : '');
+
+    if (!claims || claims.role !== 'researcher') {
+        throw new HttpError(401, 'Researcher session is missing or expired', 'RESEARCHER_SESSION_INVALID');
+    }
+    return claims;
+}
+
+module.exports = {
+    signToken,
+    verifyToken,
+    withParticipantSession,
+    requireParticipant,
+    createResearcherSession,
+    clearResearcherSession,
+    requireResearcher
+};
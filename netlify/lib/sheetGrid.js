@@ -0,0 +1,121 @@
+/**
+ * Helpers for working with sheets held as plain arrays of rows.
+ * Shared by LocalSheetStore and the Google API emulator (scripts/google-api-emulator.js),
+ * so both answer A1 ranges and appends the same way the Sheets v4 API does.
+ */
+
+function columnToIndex(letters) {
+    let index = 0;
+    for (const letter of letters.toUpperCase()) {
+        index = index * 26 + (letter.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+function indexToColumn(index) {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+}
+
+/**
+ * Parse an A1 range such as "Movements", "Movements!A2:J2", "Movements!1:1" or "'My Sheet'!B3"
+ * @param {string} range - A1 notation, optionally URL-encoded
+ * @returns {{sheetName: string, startRow: number, startCol: number, endRow: number|null, endCol: number|null}}
+ */
+function parseRange(range) {
+    const decoded = decodeURIComponent(range);
+    const bangIndex = decoded.lastIndexOf('!');
+    const sheetName = (bangIndex === -1 ? decoded : decoded.slice(0, bangIndex)).replace(/^'(.*)'$/, '$1');
+    const cells = bangIndex === -1 ? '' : decoded.slice(bangIndex + 1);
+
+    if (!cells) {
+        return { sheetName, startRow: 0, startCol: 0, endRow: null, endCol: null };
+    }
+
+    // Columns may be left out for whole rows ("1:1")
+    const match = /^([A-Za-z]+)?(\d+)?(?::([A-Za-z]+)?(\d+)?)?$/.exec(cells);
+    if (!match || !(match[1] || match[2])) {
+        throw new Error(`Unable to parse range: ${decoded}`);
+    }
+
+    return {
+        sheetName,
+        startRow: match[2] ? parseInt(match[2]) - 1 : 0,
+        startCol: match[1] ? columnToIndex(match[1]) : 0,
+        endRow: match[4] ? parseInt(match[4]) - 1 : null,
+        endCol: match[3] ? columnToIndex(match[3]) : null
+    };
+}
+
+/**
+ * Format zero-based bounds back into A1 notation
+ */
+function formatRange(sheetName, startRow, startCol, endRow, endCol) {
+    return `${sheetName}!${indexToColumn(startCol)}${startRow + 1}:${indexToColumn(endCol)}${endRow + 1}`;
+}
+
+/**
+ * Write a block of rows into a sheet, growing it as needed
+ * @param {Array<Array>} values - Sheet rows (mutated)
+ * @param {number} startRow - Zero-based row of the first written cell
+ * @param {number} startCol - Zero-based column of the first written cell
+ * @param {Array<Array>} rows - Rows to write
+ */
+function writeCells(values, startRow, startCol, rows) {
+    rows.forEach((row, rowOffset) => {
+        const target = values[startRow + rowOffset] ||= [];
+        row.forEach((cell, colOffset) => {
+            target[startCol + colOffset] = cell === undefined || cell === null ? '' : cell;
+        });
+    });
+
+    // Fill holes left by sparse writes so the sheet stays a dense array of rows
+    for (let i = 0; i < values.length; i++) {
+        values[i] = Array.from(values[i] || [], cell => cell ?? '');
+    }
+}
+
+/**
+ * Append rows after the last non-empty row, like values:append with INSERT_ROWS
+ * @returns {Object} - Sheets-style `updates` block
+ */
+function appendRows(values, sheetName, rows) {
+    const startRow = values.length;
+    writeCells(values, startRow, 0, rows);
+    const width = Math.max(1, ...rows.map(row => row.length));
+    return {
+        updatedRange: formatRange(sheetName, startRow, 0, startRow + rows.length - 1, width - 1),
+        updatedRows: rows.length,
+        updatedColumns: width,
+        updatedCells: rows.reduce((total, row) => total + row.length, 0)
+    };
+}
+
+/**
+ * Read the cells covered by a parsed range, trimming trailing empty rows like the API does
+ */
+function readRange(values, { startRow, startCol, endRow, endCol }) {
+    const lastRow = endRow === null ? values.length - 1 : Math.min(endRow, values.length - 1);
+    const rows = [];
+    for (let i = startRow; i <= lastRow; i++) {
+        const row = values[i] || [];
+        rows.push(row.slice(startCol, endCol === null ? undefined : endCol + 1));
+    }
+    while (rows.length && rows[rows.length - 1].every(cell => cell === '')) {
+        rows.pop();
+    }
+    return rows;
+}
+
+module.exports = {
+    columnToIndex,
+    indexToColumn,
+    parseRange,
+    formatRange,
+    writeCells,
+    appendRows,
+    readRange
+};
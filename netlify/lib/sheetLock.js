@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const { parseRange } = require('./sheetGrid');
+const { HttpError } = require('./http');
+const { readTable } = require('./sheetSchema');
+
+/**
+ * Mutual exclusion across function instances. Sheets has no lock or compare-and-set, so every
+ * contender appends a ticket row to the lock sheet and the oldest live ticket for a lock name
+ * holds it. That relies on values:append placing a row below every row already in the sheet, which
+ * the API does not promise; a ticket that is not where its append reported is treated as a failed
+ * acquire rather than trusted. Tickets expire so a crashed holder cannot block others.
+ *
+ * Every acquire leaves its ticket row behind (marked released), so keep the lock off hot paths:
+ * registration takes it once per participant, and load-responses once for a participant whose
+ * rows predate response ids.
+ *
+ * Lock sheet headers: lockName | token | expiresAt (epoch ms) | status
+ */
+
+const LOCK_TTL_MS = 30000;
+const ACQUIRE_TIMEOUT_MS = 10000;
+const POLL_INTERVAL_MS = 250;
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function releaseTicket(store, config, table, rowIndex) {
+    try {
+        await store.updateValues(config.spreadsheetId, table.cellRange(rowIndex, 'status'), [['released']]);
+    } catch (error) {
+        // The ticket expires on its own; log so a stuck lock sheet can be diagnosed
+        console.error(`Failed to release lock ticket on row ${table.rowNumber(rowIndex)}:`, error);
+    }
+}
+
+/**
+ * Run `task` while holding the named lock
+ * @param {Object} store - Sheet store (see sheetStore.js)
+ * @param {Object} config - Study configuration (spreadsheetId, lockSheet)
+ * @param {string} lockName - Lock identifier, e.g. "participants"
+ * @param {Function} task - Async work to run exclusively
+ * @returns {Promise<*>} - Result of `task`
+ */
+async function withSheetLock(store, config, lockName, task) {
+    const token = crypto.randomUUID();
+    const ticketTable = await readTable(store, config, 'locks');
+    const appendResult = await store.appendValues(config.spreadsheetId, ticketTable.sheetName, [
+        ticketTable.toRow({ lockName, token, expiresAt: Date.now() + LOCK_TTL_MS, status: 'waiting' })
+    ]);
+    // parseRange rows are zero-based with the header at 0; table rows start after it
+    const ticketIndex = parseRange(appendResult.updates.updatedRange).startRow - 1;
+    // Row the ticket was last seen on, so the release marks our own ticket even if rows moved
+    let ownIndex = ticketIndex;
+    const startedAt = Date.now();
+
+    try {
+        for (;;) {
+            const table = await readTable(store, config, 'locks');
+            ownIndex = table.rows.findIndex(row => table.get(row, 'token') === token);
+            if (ownIndex !== ticketIndex) {
+                throw new HttpError(503, 'Lock ticket is not where it was appended', 'LOCK_FAILED');
+            }
+
+            const now = Date.now();
+            const holder = table.rows.find(row =>
+                table.get(row, 'lockName') === lockName &&
+                table.get(row, 'status') !== 'released' &&
+                Number(table.get(row, 'expiresAt')) > now
+            );
+
+            // Our own ticket is live until it expires, so no holder means it ran out while waiting
+            if (!holder) {
+                throw new HttpError(503, 'Lock ticket expired before it was granted', 'LOCK_TIMEOUT');
+            }
+            if (table.get(holder, 'token') === token) {
+                return await task();
+            }
+
+            if (now - startedAt > ACQUIRE_TIMEOUT_MS) {
+                throw new HttpError(503, 'Server is busy, please try again', 'LOCK_TIMEOUT');
+            }
+            await delay(POLL_INTERVAL_MS);
+        }
+    } finally {
+        if (ownIndex !== -1) {
+            await releaseTicket(store, config, ticketTable, ownIndex);
+        }
+    }
+}
+
+module.exports = { withSheetLock };
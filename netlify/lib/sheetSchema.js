@@ -0,0 +1,293 @@
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('./http');
+const { indexToColumn } = require('./sheetGrid');
+
+/**
+ * Schema registry for the study sheets.
+ * Columns are found by their header in the first row of each sheet, never by position, so
+ * researchers can reorder columns or add their own (notes, coding) without corrupting data.
+ * Every read resolves and checks the header row; a missing or duplicated header fails the
+ * request with SHEET_SCHEMA_INVALID instead of writing into the wrong cells.
+ * `npm run check-schema` runs the same check over every sheet before a study goes live.
+ */
+
+// Movement saved by SurveyApp.handleNoOnomatopoeia when a video has nothing to describe
+const NO_ONOMATOPOEIA = 'null';
+
+// Sheet name comes from sheet-info.json (`configKey`); `headers` plus `optionalHeaders` is also the layout
+// of a fresh sheet. Optional columns may be left out of a sheet; reads then see them as undefined
+const SHEET_SCHEMAS = {
+    participants: {
+        configKey: 'ParticipantSheet',
+        defaultName: 'Participants',
+        headers: ['participantId', 'email', 'name', 'age', 'gender', 'nativeLanguage', 'registrationTimestamp'],
+        // Consent form version each participant agreed to and when, needed once the study sets consentVersion.
+        // Videos and order assigned to each participant (videoOrder.js), needed once they differ between participants.
+        // Panel ids of participants sent by a recruitment platform (recruitment.js)
+        optionalHeaders: ['consentVersion', 'consentTimestamp', 'videoOrderStrategy', 'videoOrder', 'recruitmentParticipantId', 'recruitmentStudyId', 'recruitmentSessionId']
+    },
+    responses: {
+        configKey: 'OnomatopoeiaSheet',
+        defaultName: 'Movements',
+        headers: ['participantId', 'participantName', 'video', 'movement', 'startTime', 'endTime', 'answeredTimestamp', 'hasAudio', 'audioFileName', 'emotion', 'responseId', 'deletedAt'],
+        // Id of the catch trial (catchTrials.js) a row answers; empty for the study videos.
+        // Frame numbers of startTime/endTime at the study's videoFrameRate (0 is the first frame).
+        // Playback rate and looped range (seconds) the video was playing with when the segment was marked.
+        // The participant's own words for an "other" emotion (emotions.js)
+        optionalHeaders: ['catchTrial', 'startFrame', 'endFrame', 'playbackRate', 'loopStart', 'loopEnd', 'emotionOther']
+    },
+    videos: {
+        configKey: 'videoSheet',
+        defaultName: 'SelectedVideos',
+        headers: ['video'],
+        // Emotion a stimulus was recorded to show, used to stratify video subsets
+        optionalHeaders: ['intendedEmotion']
+    },
+    locks: {
+        configKey: 'lockSheet',
+        defaultName: 'Locks',
+        headers: ['lockName', 'token', 'expiresAt', 'status']
+    },
+    accessCodes: {
+        configKey: 'accessCodeSheet',
+        defaultName: 'AccessCodes',
+        headers: ['code', 'participantId', 'issuedAt', 'usedAt'],
+        // Only studies logging in by code (accessCodes.js) have this sheet
+        isUsed: config => Boolean(config.loginMode) && config.loginMode !== 'email'
+    },
+    videoEvents: {
+        configKey: 'videoEventSheet',
+        defaultName: 'VideoEvents',
+        headers: ['participantId', 'trialId', 'batchId', 'video', 'catchTrial', 'event', 'mediaTime', 'fromTime', 'playbackRate', 'eventTimestamp', 'savedTimestamp'],
+        // Player events logged by the survey page (videoEvents.js) when videoTelemetry is on
+        isUsed: config => Boolean(config.videoTelemetry)
+    }
+};
+
+// Headers are matched ignoring case and surrounding spaces
+function normalizeHeader(header) {
+    return String(header ?? '').trim().toLowerCase();
+}
+
+function getSchema(schemaName) {
+    const schema = SHEET_SCHEMAS[schemaName];
+    if (!schema) {
+        throw new Error(`Unknown sheet schema "${schemaName}"`);
+    }
+    return schema;
+}
+
+function sheetNameFor(config, schemaName) {
+    const schema = getSchema(schemaName);
+    return config[schema.configKey] || schema.defaultName;
+}
+
+/**
+ * Map each field of a schema to its column in a header row
+ * @param {string} schemaName - Key of SHEET_SCHEMAS
+ * @param {Array<string>} headerRow - First row of the sheet
+ * @returns {{columns: Object, missing: Array<string>, duplicated: Array<string>}}
+ */
+function resolveColumns(schemaName, headerRow = []) {
+    const { headers, optionalHeaders = [] } = getSchema(schemaName);
+    const allHeaders = [...headers, ...optionalHeaders];
+    const positions = new Map();
+    const duplicated = [];
+
+    headerRow.forEach((header, index) => {
+        const key = normalizeHeader(header);
+        if (!key) return;
+        if (positions.has(key)) {
+            duplicated.push(String(header).trim());
+        } else {
+            positions.set(key, index);
+        }
+    });
+
+    const columns = {};
+    const missing = [];
+    allHeaders.forEach(field => {
+        const index = positions.get(normalizeHeader(field));
+        if (index !== undefined) {
+            columns[field] = index;
+        } else if (headers.includes(field)) {
+            missing.push(field);
+        }
+    });
+
+    return {
+        columns,
+        missing,
+        duplicated: duplicated.filter(header => allHeaders.some(field => normalizeHeader(field) === normalizeHeader(header)))
+    };
+}
+
+/**
+ * One sheet read through its schema. `rows` excludes the header; row indexes used by the
+ * methods below are positions in `rows`.
+ */
+class SheetTable {
+    constructor(schemaName, sheetName, values) {
+        const { columns, missing, duplicated } = resolveColumns(schemaName, values[0]);
+        if (missing.length || duplicated.length) {
+            const problems = [
+                missing.length ? `missing ${missing.join(', ')}` : '',
+                duplicated.length ? `duplicated ${duplicated.join(', ')}` : ''
+            ].filter(Boolean).join('; ');
+            throw new HttpError(500, `Sheet "${sheetName}" does not match the study schema (${problems})`, 'SHEET_SCHEMA_INVALID');
+        }
+
+        this.sheetName = sheetName;
+        this.columns = columns;
+        this.width = Math.max((values[0] || []).length, ...Object.values(columns).map(index => index + 1));
+        this.rows = values.slice(1);
+    }
+
+    get(row, field) {
+        return row[this.columns[field]];
+    }
+
+    // Row as { field: cell } with the sheet's string cells
+    read(row) {
+        const obj = {};
+        for (const [field, index] of Object.entries(this.columns)) {
+            obj[field] = row[index];
+        }
+        return obj;
+    }
+
+    /**
+     * Lay an object out as a sheet row
+     * @param {Object} obj - Field values; fields not in the schema are ignored
+     * @param {Array} baseRow - Existing row to start from, so columns the study does not know keep their content
+     * @returns {Array} - Row as wide as the header
+     */
+    toRow(obj, baseRow = []) {
+        const row = Array.from({ length: this.width }, (_, index) => baseRow[index] ?? '');
+        for (const [field, index] of Object.entries(this.columns)) {
+            if (obj[field] !== undefined) {
+                row[index] = obj[field] ?? '';
+            }
+        }
+        return row;
+    }
+
+    // 1-based sheet row of rows[rowIndex] (the header is row 1)
+    rowNumber(rowIndex) {
+        return rowIndex + 2;
+    }
+
+    // A1 range of one cell, e.g. "Movements!K5"
+    cellRange(rowIndex, field) {
+        return `${this.sheetName}!${indexToColumn(this.columns[field])}${this.rowNumber(rowIndex)}`;
+    }
+
+    // A1 range covering a whole row, e.g. "Movements!A5:L5"
+    rowRange(rowIndex) {
+        const rowNumber = this.rowNumber(rowIndex);
+        return `${this.sheetName}!A${rowNumber}:${indexToColumn(this.width - 1)}${rowNumber}`;
+    }
+}
+
+/**
+ * Fail a request that needs optional columns the sheet does not have
+ * @param {SheetTable} table - Sheet read through its schema
+ * @param {Array<string>} fields - Optional fields the feature writes
+ * @param {string} feature - What needs them, for the error message
+ */
+function requireColumns(table, fields, feature) {
+    const missing = fields.filter(field => table.columns[field] === undefined);
+    if (missing.length) {
+        throw new HttpError(500, `Sheet "${table.sheetName}" needs the ${missing.join(', ')} columns for ${feature}`, 'SHEET_SCHEMA_INVALID');
+    }
+}
+
+/**
+ * Read a whole sheet and resolve its columns
+ * @param {Object} store - Sheet store
+ * @param {Object} config - Study configuration
+ * @param {string} schemaName - Key of SHEET_SCHEMAS, e.g. "responses"
+ * @returns {Promise<SheetTable>}
+ */
+async function readTable(store, config, schemaName) {
+    const sheetName = sheetNameFor(config, schemaName);
+    const values = await store.getValues(config.spreadsheetId, sheetName);
+    return new SheetTable(schemaName, sheetName, values);
+}
+
+/**
+ * Read only the header row of a sheet, for appends that do not look at the existing rows
+ * @param {Object} store - Sheet store
+ * @param {Object} config - Study configuration
+ * @param {string} schemaName - Key of SHEET_SCHEMAS
+ * @returns {Promise<SheetTable>} - Table without rows
+ */
+async function readHeader(store, config, schemaName) {
+    const sheetName = sheetNameFor(config, schemaName);
+    const values = await store.getValues(config.spreadsheetId, `${sheetName}!1:1`);
+    return new SheetTable(schemaName, sheetName, values);
+}
+
+/**
+ * Check the header row of every study sheet
+ * @param {Object} store - Sheet store
+ * @param {Object} config - Study configuration
+ * @returns {Promise<Array<Object>>} - One { schemaName, sheetName, width, missing, duplicated, error } per sheet,
+ *   `width` being the number of cells in its header row
+ */
+async function checkSheetSchemas(store, config) {
+    const results = [];
+    const schemaNames = Object.keys(SHEET_SCHEMAS).filter(schemaName => !SHEET_SCHEMAS[schemaName].isUsed || SHEET_SCHEMAS[schemaName].isUsed(config));
+    for (const schemaName of schemaNames) {
+        const sheetName = sheetNameFor(config, schemaName);
+        try {
+            const values = await store.getValues(config.spreadsheetId, sheetName);
+            results.push({ schemaName, sheetName, width: (values[0] || []).length, ...resolveColumns(schemaName, values[0]), error: null });
+        } catch (error) {
+            results.push({ schemaName, sheetName, width: 0, missing: [], duplicated: [], error: error.message });
+        }
+    }
+    return results;
+}
+
+/**
+ * Write a sheet's missing headers after the last one of its header row, for sheets created before
+ * those columns existed. The rows already in the sheet are left blank in the new columns.
+ * @param {Object} store - Sheet store
+ * @param {Object} config - Study configuration
+ * @param {Object} result - The sheet's entry from checkSheetSchemas
+ */
+async function addMissingHeaders(store, config, { sheetName, width, missing }) {
+    if (!missing.length) return;
+    const range = `${sheetName}!${indexToColumn(width)}1:${indexToColumn(width + missing.length - 1)}1`;
+    await store.updateValues(config.spreadsheetId, range, [missing]);
+}
+
+/**
+ * Initial rows for a sheet that does not exist yet (local store and API emulator)
+ * SelectedVideos is pre-filled with the bundled videos so a fresh store is usable straight away.
+ * @param {string} sheetName - Sheet (tab) name
+ * @param {string} rootDir - Site root holding the videos/ folder
+ * @returns {Array<Array>} - Header row plus any seeded rows
+ */
+function defaultSheetValues(sheetName, rootDir = process.cwd()) {
+    const schema = Object.values(SHEET_SCHEMAS).find(candidate => candidate.defaultName === sheetName);
+    const values = schema ? [[...schema.headers, ...(schema.optionalHeaders || [])]] : [];
+
+    if (sheetName === SHEET_SCHEMAS.videos.defaultName) {
+        try {
+            fs.readdirSync(path.join(rootDir, 'videos'))
+                .filter(name => name.endsWith('.mp4'))
+                .map(name => name.replace('.mp4', ''))
+                .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+                .forEach(name => values.push([name]));
+        } catch (_error) {
+            // No videos folder next to the store - leave the sheet with its header only
+        }
+    }
+
+    return values;
+}
+
+module.exports = { NO_ONOMATOPOEIA, SHEET_SCHEMAS, SheetTable, resolveColumns, requireColumns, readTable, readHeader, checkSheetSchemas, addMissingHeaders, defaultSheetValues };
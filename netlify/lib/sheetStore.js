@@ -0,0 +1,83 @@
+const { sheetsApiBase, getServiceAccountToken } = require('./googleApi');
+const { LocalSheetStore } = require('./localSheetStore');
+
+/**
+ * Server-side sheet access for the Netlify functions.
+ * Both stores expose getValues / appendValues / updateValues / batchUpdateValues with the
+ * same shapes as the Sheets v4 API, so domain code does not care which backend is active.
+ */
+class GoogleSheetStore {
+    async request(path, options = {}) {
+        const accessToken = await getServiceAccountToken();
+        const response = await fetch(`${sheetsApiBase()}/v4/spreadsheets/${path}`, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${accessToken}`
+            }
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || result.error) {
+            throw new Error(`Sheets API error ${response.status}: ${result.error?.message || response.statusText}`);
+        }
+        return result;
+    }
+
+    async getValues(spreadsheetId, range) {
+        const data = await this.request(`${spreadsheetId}/values/${encodeURIComponent(range)}`);
+        return data.values || [];
+    }
+
+    async appendValues(spreadsheetId, sheetName, rows) {
+        return this.request(
+            `${spreadsheetId}/values/${encodeURIComponent(sheetName)}:append?valueInputOption=RAW&insertDataOption=INSERT_ROWS`,
+            {
+                method: 'POST',
+                body: JSON.stringify({ values: rows })
+            }
+        );
+    }
+
+    async updateValues(spreadsheetId, range, values) {
+        return this.request(`${spreadsheetId}/values/${encodeURIComponent(range)}?valueInputOption=RAW`, {
+            method: 'PUT',
+            body: JSON.stringify({ values })
+        });
+    }
+
+    // Write several ranges in one request; data is [{ range, values }]
+    async batchUpdateValues(spreadsheetId, data) {
+        return this.request(`${spreadsheetId}/values:batchUpdate`, {
+            method: 'POST',
+            body: JSON.stringify({ valueInputOption: 'RAW', data })
+        });
+    }
+}
+
+let sharedLocalStore = null;
+
+/**
+ * Build the store named by `storageBackend` in sheet-info.json
+ * @param {Object} config - Study configuration
+ * @returns {GoogleSheetStore|LocalSheetStore}
+ */
+function createSheetStore(config = {}) {
+    const backend = config.storageBackend || 'google-sheets';
+
+    switch (backend) {
+        case 'google-sheets':
+            return new GoogleSheetStore();
+        case 'local':
+            if (!LocalSheetStore.isEnabled()) {
+                throw new Error('Local storage backend is disabled (set LOCAL_STORAGE_ENABLED=true or use netlify dev)');
+            }
+            // One instance per process so its lock serializes every request
+            sharedLocalStore ||= new LocalSheetStore();
+            return sharedLocalStore;
+        default:
+            throw new Error(`Unknown storage backend "${backend}" in sheet-info.json`);
+    }
+}
+
+module.exports = { GoogleSheetStore, createSheetStore };
@@ -0,0 +1,20 @@
+/**
+ * Study configuration for the Netlify functions.
+ * Reads the same sheet-info.json the pages load through ConfigManager (bundled by esbuild on deploy).
+ */
+const sheetInfo = require('../../sheet-info.json');
+
+const DEFAULTS = {
+    storageBackend: 'google-sheets',
+    lockSheet: 'Locks',
+    accessCodeSheet: 'AccessCodes',
+    videoEventSheet: 'VideoEvents',
+    loginMode: 'email',
+    videoOrder: 'fixed'
+};
+
+function getStudyConfig() {
+    return { ...DEFAULTS, ...sheetInfo };
+}
+
+module.exports = { getStudyConfig };
@@ -0,0 +1,313 @@
+const { NO_ONOMATOPOEIA, readTable } = require('./sheetSchema');
+const { getServiceAccountToken } = require('./googleApi');
+const { AUDIO_FOLDER_NAME } = require('./driveAudio');
+const { FOLDER_MIME_TYPE, listFolder } = require('./driveFiles');
+const { parseVideoOrder } = require('./videoOrder');
+const { getCatchTrials, summarizeCatchTrials } = require('./catchTrials');
+
+/**
+ * Study data export: joins the Movements rows with participant demographics and the stimulus
+ * list into one long-format record per response, and inventories the audio clips on Drive.
+ * Used by scripts/export-study-data.js; everything here is read-only.
+ */
+
+// Column order of the long-format export; identifying columns are only added on request
+const RESPONSE_EXPORT_COLUMNS = [
+    'participantId', 'age', 'gender', 'nativeLanguage', 'registrationTimestamp', 'videoOrderStrategy', 'consentVersion',
+    'responseId', 'video', 'videoPosition', 'catchTrial', 'noDescription', 'movement', 'startTime', 'endTime', 'startFrame', 'endFrame', 'duration',
+    'playbackRate', 'loopStart', 'loopEnd', 'emotion', 'emotionOther', 'answeredTimestamp', 'hasAudio', 'audioFileName', 'audioFileId', 'audioMd5Checksum'
+];
+// Panel ids link a response to the participant's recruitment-platform account, so they count as identifying
+const IDENTIFYING_COLUMNS = ['participantName', 'email', 'recruitmentParticipantId', 'recruitmentStudyId', 'recruitmentSessionId'];
+
+// Per-participant catch-trial results; one more column per configured trial follows, named by its id
+const ATTENTION_EXPORT_COLUMNS = ['participantId', 'catchTrials', 'answered', 'passed', 'failed', 'flagged'];
+
+// One row per logged video player event (videoEvents.js), in the order the participant made them
+const VIDEO_EVENT_EXPORT_COLUMNS = [
+    'participantId', 'trialId', 'video', 'catchTrial', 'event', 'mediaTime', 'fromTime', 'playbackRate', 'eventTimestamp'
+];
+
+const AUDIO_MANIFEST_COLUMNS = [
+    'participantId', 'folder', 'fileName', 'fileId', 'mimeType', 'size', 'md5Checksum', 'createdTime', 'responseId', 'referenced'
+];
+
+function parseNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+// Responses saved before frame capture, or without videoFrameRate, have no frame numbers
+function parseFrameNumber(value) {
+    const frame = parseInt(value);
+    return Number.isInteger(frame) ? frame : null;
+}
+
+/**
+ * Read the Participants, Movements and SelectedVideos sheets, and VideoEvents when videoTelemetry is on
+ * @param {Object} store - Sheet store
+ * @param {Object} config - Study configuration
+ * @returns {Promise<Object>} - { participants, responses, videos, videoEvents } with the sheets' string cells
+ */
+async function readStudySheets(store, config) {
+    const [participantTable, responseTable, videoTable, videoEventTable] = await Promise.all([
+        readTable(store, config, 'participants'),
+        readTable(store, config, 'responses'),
+        readTable(store, config, 'videos'),
+        config.videoTelemetry ? readTable(store, config, 'videoEvents') : null
+    ]);
+
+    return {
+        participants: participantTable.rows.map(row => participantTable.read(row)),
+        responses: responseTable.rows.map(row => responseTable.read(row)),
+        videos: videoTable.rows
+            .map(row => String(videoTable.get(row, 'video') || '').trim())
+            .filter(name => name)
+            .map(name => `${name}.mp4`),
+        videoEvents: videoEventTable ? videoEventTable.rows.map(row => videoEventTable.read(row)) : []
+    };
+}
+
+/**
+ * Inventory the audio clips under {audioDriveFolderId}/Audio/{participantId}_{name}/
+ * @param {Object} config - Study configuration (audioDriveFolderId)
+ * @returns {Promise<Array<Object>>} - { participantId, folder, fileName, fileId, mimeType, size, md5Checksum, createdTime }
+ */
+async function listAudioFiles(config) {
+    const accessToken = await getServiceAccountToken();
+    const rootEntries = await listFolder(accessToken, config.audioDriveFolderId);
+    const audioFolder = rootEntries.find(entry => entry.name === AUDIO_FOLDER_NAME && entry.mimeType === FOLDER_MIME_TYPE);
+    if (!audioFolder) {
+        return [];
+    }
+
+    const files = [];
+    const participantFolders = (await listFolder(accessToken, audioFolder.id))
+        .filter(entry => entry.mimeType === FOLDER_MIME_TYPE);
+
+    for (const folder of participantFolders) {
+        const participantId = parseInt(/^(\d+)_/.exec(folder.name)?.[1]);
+        const entries = await listFolder(accessToken, folder.id, 'id,name,mimeType,size,md5Checksum,createdTime');
+        entries
+            .filter(entry => entry.mimeType !== FOLDER_MIME_TYPE)
+            .forEach(entry => files.push({
+                participantId: Number.isNaN(participantId) ? null : participantId,
+                folder: folder.name,
+                fileName: entry.name,
+                fileId: entry.id,
+                mimeType: entry.mimeType,
+                size: entry.size !== undefined ? parseInt(entry.size) : null,
+                md5Checksum: entry.md5Checksum || null,
+                createdTime: entry.createdTime || null
+            }));
+    }
+
+    return files;
+}
+
+// A save that landed twice keeps its first row and the later copies are marked deleted (responses.js);
+// drop the copies so includeDeleted does not show them as withdrawn responses
+function withoutRepeatedSaves(responses) {
+    const seen = new Set();
+    return responses.filter(response => {
+        if (!response.responseId) {
+            return true;
+        }
+        const repeated = seen.has(response.responseId);
+        seen.add(response.responseId);
+        return !repeated;
+    });
+}
+
+/**
+ * Build the long-format export and the audio manifest
+ * @param {Object} sheets - From readStudySheets
+ * @param {Array<Object>} audioFiles - From listAudioFiles
+ * @param {Object} options - { includeIdentifying, includeDeleted }
+ * @returns {Object} - { records, columns, manifest }
+ */
+function buildStudyExport(sheets, audioFiles, options = {}) {
+    const { includeIdentifying = false, includeDeleted = false } = options;
+
+    const participantsById = new Map(sheets.participants.map(participant => [String(participant.participantId), participant]));
+    const audioByKey = new Map(audioFiles.map(file => [`${file.participantId}/${file.fileName}`, file]));
+    const referencedKeys = new Map();
+
+    const records = withoutRepeatedSaves(sheets.responses)
+        .filter(response => includeDeleted || !response.deletedAt)
+        .map(response => {
+            const participant = participantsById.get(String(response.participantId)) || {};
+            const isNoDescription = response.movement === NO_ONOMATOPOEIA;
+            const startTime = isNoDescription ? null : parseNumber(response.startTime);
+            const endTime = isNoDescription ? null : parseNumber(response.endTime);
+            const audioKey = `${parseInt(response.participantId)}/${response.audioFileName}`;
+            const audio = response.audioFileName ? audioByKey.get(audioKey) : null;
+            // Position in the order this participant was shown, or in SelectedVideos when none was stored;
+            // catch trials sit outside that order
+            const participantOrder = parseVideoOrder(participant.videoOrder);
+            const videoIndex = response.catchTrial ? -1 : (participantOrder.length ? participantOrder : sheets.videos).indexOf(response.video);
+
+            if (audio && !response.deletedAt) {
+                referencedKeys.set(audioKey, response.responseId || null);
+            }
+
+            const record = {
+                participantId: parseInt(response.participantId),
+                age: parseNumber(participant.age),
+                gender: participant.gender ?? null,
+                nativeLanguage: participant.nativeLanguage ?? null,
+                registrationTimestamp: participant.registrationTimestamp ?? null,
+                videoOrderStrategy: participant.videoOrderStrategy || null,
+                consentVersion: participant.consentVersion || null,
+                responseId: response.responseId || null,
+                video: response.video,
+                videoPosition: videoIndex === -1 ? null : videoIndex + 1,
+                catchTrial: response.catchTrial || null,
+                noDescription: isNoDescription,
+                movement: isNoDescription ? null : response.movement,
+                startTime,
+                endTime,
+                startFrame: isNoDescription ? null : parseFrameNumber(response.startFrame),
+                endFrame: isNoDescription ? null : parseFrameNumber(response.endFrame),
+                duration: startTime !== null && endTime !== null ? Math.round((endTime - startTime) * 1000) / 1000 : null,
+                playbackRate: parseNumber(response.playbackRate),
+                loopStart: parseNumber(response.loopStart),
+                loopEnd: parseNumber(response.loopEnd),
+                emotion: response.emotion || null,
+                emotionOther: response.emotionOther || null,
+                answeredTimestamp: response.answeredTimestamp || null,
+                hasAudio: parseInt(response.hasAudio) === 1,
+                audioFileName: response.audioFileName || null,
+                audioFileId: audio?.fileId ?? null,
+                audioMd5Checksum: audio?.md5Checksum ?? null
+            };
+            if (includeIdentifying) {
+                record.participantName = response.participantName || participant.name || null;
+                record.email = participant.email ?? null;
+                record.recruitmentParticipantId = participant.recruitmentParticipantId || null;
+                record.recruitmentStudyId = participant.recruitmentStudyId || null;
+                record.recruitmentSessionId = participant.recruitmentSessionId || null;
+            }
+            if (includeDeleted) {
+                record.deletedAt = response.deletedAt || null;
+            }
+            return record;
+        });
+
+    const manifest = audioFiles.map(file => {
+        const key = `${file.participantId}/${file.fileName}`;
+        return {
+            ...file,
+            responseId: referencedKeys.get(key) ?? null,
+            referenced: referencedKeys.has(key)
+        };
+    });
+
+    const columns = [
+        ...RESPONSE_EXPORT_COLUMNS,
+        ...(includeIdentifying ? IDENTIFYING_COLUMNS : []),
+        ...(includeDeleted ? ['deletedAt'] : [])
+    ];
+
+    return { records, columns, manifest };
+}
+
+/**
+ * Build the per-participant catch-trial results (see catchTrials.js)
+ * @param {Object} sheets - From readStudySheets
+ * @param {Object} config - Study configuration (catchTrials, catchTrialFailLimit)
+ * @returns {Object} - { records, columns }; no records when the study has no catch trials
+ */
+function buildAttentionExport(sheets, config) {
+    const trials = getCatchTrials(config);
+    const columns = [...ATTENTION_EXPORT_COLUMNS, ...trials.map(trial => trial.id)];
+    if (!trials.length) {
+        return { records: [], columns };
+    }
+
+    const liveResponses = sheets.responses.filter(response => !response.deletedAt);
+    const records = sheets.participants
+        .filter(participant => participant.participantId)
+        .map(participant => {
+            const own = liveResponses.filter(response => String(response.participantId) === String(participant.participantId));
+            const summary = summarizeCatchTrials(config, own);
+            return {
+                participantId: parseInt(participant.participantId),
+                catchTrials: summary.total,
+                answered: summary.answered,
+                passed: summary.passed,
+                failed: summary.failed,
+                flagged: summary.flagged,
+                ...summary.results
+            };
+        });
+
+    return { records, columns };
+}
+
+// A batch retried after a lost reply is in the sheet twice; keep one copy of each of its events
+function withoutRepeatedBatches(events) {
+    const seen = new Set();
+    return events.filter(event => {
+        const key = JSON.stringify([event.batchId, event.event, event.mediaTime, event.fromTime, event.eventTimestamp]);
+        const repeated = seen.has(key);
+        seen.add(key);
+        return !repeated;
+    });
+}
+
+/**
+ * Build the video player event log (see videoEvents.js), ordered by participant and event time
+ * @param {Object} sheets - From readStudySheets
+ * @returns {Object} - { records, columns }
+ */
+function buildVideoEventExport(sheets) {
+    const records = withoutRepeatedBatches(sheets.videoEvents)
+        .map(event => ({
+            participantId: parseInt(event.participantId),
+            trialId: event.trialId,
+            video: event.video,
+            catchTrial: event.catchTrial || null,
+            event: event.event,
+            mediaTime: parseNumber(event.mediaTime),
+            fromTime: parseNumber(event.fromTime),
+            playbackRate: parseNumber(event.playbackRate),
+            eventTimestamp: event.eventTimestamp || null
+        }))
+        .sort((a, b) => a.participantId - b.participantId || String(a.eventTimestamp).localeCompare(String(b.eventTimestamp)));
+
+    return { records, columns: VIDEO_EVENT_EXPORT_COLUMNS };
+}
+
+function formatCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize records as RFC 4180 CSV (empty cells for null)
+ * @param {Array<Object>} records - Rows
+ * @param {Array<string>} columns - Column order
+ * @returns {string}
+ */
+function toCsv(records, columns) {
+    const lines = [columns.join(',')];
+    records.forEach(record => {
+        lines.push(columns.map(column => formatCsvCell(record[column])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    RESPONSE_EXPORT_COLUMNS,
+    ATTENTION_EXPORT_COLUMNS,
+    VIDEO_EVENT_EXPORT_COLUMNS,
+    AUDIO_MANIFEST_COLUMNS,
+    readStudySheets,
+    listAudioFiles,
+    buildStudyExport,
+    buildAttentionExport,
+    buildVideoEventExport,
+    toCsv
+};
@@ -0,0 +1,71 @@
+const { parseVideoOrder } = require('./videoOrder');
+const { isSubsetEnabled } = require('./videoSubset');
+const { summarizeCatchTrials } = require('./catchTrials');
+const { NO_ONOMATOPOEIA } = require('./sheetSchema');
+
+/**
+ * Study progress for the researcher dashboard (admin.html).
+ * Participants come without name or email and responses without their text: the dashboard only
+ * counts, and filters by the demographics, so nothing identifying leaves the sheets.
+ */
+
+/**
+ * Summarize the study sheets
+ * @param {Object} sheets - From readStudySheets (studyExport.js)
+ * @param {Object} config - Study configuration
+ * @returns {Object} - { videos, participants, responses }; a participant's assignedVideos are the
+ *   videos they are asked to describe (their subset, or every video) and answeredVideos those of
+ *   them with at least one live response; catch-trial answers only count towards `attention`
+ *   (summarizeCatchTrials) and are left out of the other counts
+ */
+function summarizeStudyProgress(sheets, config) {
+    const liveResponses = sheets.responses.filter(response => !response.deletedAt);
+    const responsesByParticipant = new Map();
+    liveResponses.forEach(response => {
+        const participantId = String(response.participantId);
+        if (!responsesByParticipant.has(participantId)) {
+            responsesByParticipant.set(participantId, []);
+        }
+        responsesByParticipant.get(participantId).push(response);
+    });
+
+    const participants = sheets.participants
+        .filter(participant => participant.participantId)
+        .map(participant => {
+            const ownWithCatchTrials = responsesByParticipant.get(String(participant.participantId)) || [];
+            const own = ownWithCatchTrials.filter(response => !response.catchTrial);
+            const subset = isSubsetEnabled(config) ? parseVideoOrder(participant.videoOrder) : [];
+            const assignedVideos = subset.length ? sheets.videos.filter(video => subset.includes(video)) : sheets.videos;
+            const answeredVideos = assignedVideos.filter(video => own.some(response => response.video === video));
+            const lastAnsweredTimestamp = ownWithCatchTrials
+                .map(response => response.answeredTimestamp || '')
+                .reduce((latest, timestamp) => (timestamp > latest ? timestamp : latest), '');
+
+            return {
+                participantId: parseInt(participant.participantId),
+                age: parseInt(participant.age) || null,
+                gender: participant.gender || '',
+                nativeLanguage: participant.nativeLanguage || '',
+                registrationTimestamp: participant.registrationTimestamp || '',
+                assignedVideos,
+                answeredVideos,
+                responseCount: own.length,
+                audioCount: own.filter(response => parseInt(response.hasAudio) === 1).length,
+                lastAnsweredTimestamp: lastAnsweredTimestamp || null,
+                attention: summarizeCatchTrials(config, ownWithCatchTrials)
+            };
+        });
+
+    const responses = liveResponses
+        .filter(response => !response.catchTrial)
+        .map(response => ({
+            participantId: parseInt(response.participantId),
+            video: response.video,
+            noDescription: response.movement === NO_ONOMATOPOEIA,
+            hasAudio: parseInt(response.hasAudio) === 1
+        }));
+
+    return { videos: sheets.videos, participants, responses };
+}
+
+module.exports = { summarizeStudyProgress };
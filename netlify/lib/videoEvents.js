@@ -0,0 +1,109 @@
+const { HttpError } = require('./http');
+const { obtainDate } = require('./dates');
+const { readHeader } = require('./sheetSchema');
+const { findCatchTrial } = require('./catchTrials');
+
+/**
+ * How participants watched each stimulus, logged by the survey page (js/videoTelemetry.js) when
+ * `videoTelemetry` is on in sheet-info.json. The page collects the player events of one viewing of
+ * a video (a trial: from switching to the video until switching away or leaving the page) and sends
+ * them as one batch; a long viewing may arrive in several batches sharing its trialId.
+ *
+ * VideoEvents sheet headers:
+ *   participantId | trialId | batchId | video | catchTrial | event | mediaTime | fromTime | playbackRate | eventTimestamp | savedTimestamp
+ * mediaTime is the video position in seconds when the event happened, fromTime the position a
+ * seek started from, and eventTimestamp the participant's clock (ISO 8601 with milliseconds).
+ */
+
+const VIDEO_EVENT_TYPES = ['play', 'pause', 'seek', 'ratechange', 'ended', 'replay'];
+// Keeps a batch under the 64 KB a keepalive request may carry (the batch sent as the page closes)
+const MAX_EVENTS_PER_BATCH = 200;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function isTelemetryEnabled(config) {
+    return Boolean(config.videoTelemetry);
+}
+
+function invalidEvent(index, problem) {
+    return new HttpError(400, `Video event ${index + 1} ${problem}`, 'INVALID_VIDEO_EVENT');
+}
+
+function readMediaTime(value, index, field) {
+    const time = parseFloat(value);
+    if (!Number.isFinite(time) || time < 0) {
+        throw invalidEvent(index, `needs ${field} as a non-negative number of seconds`);
+    }
+    return time;
+}
+
+// Check one event sent by the page and bring it into the shape stored in the sheet
+function normalizeEvent(event, index) {
+    if (!VIDEO_EVENT_TYPES.includes(event?.type)) {
+        throw invalidEvent(index, `has unknown type "${event?.type}"`);
+    }
+    const playbackRate = parseFloat(event.playbackRate);
+    if (!Number.isFinite(playbackRate) || playbackRate <= 0) {
+        throw invalidEvent(index, 'needs a positive playbackRate');
+    }
+    if (Number.isNaN(Date.parse(event.wallTime))) {
+        throw invalidEvent(index, 'needs wallTime as an ISO 8601 date');
+    }
+
+    return {
+        event: event.type,
+        mediaTime: readMediaTime(event.mediaTime, index, 'mediaTime'),
+        fromTime: event.type === 'seek' ? readMediaTime(event.fromTime, index, 'fromTime') : '',
+        playbackRate,
+        eventTimestamp: new Date(event.wallTime).toISOString()
+    };
+}
+
+/**
+ * Append one batch of player events to the VideoEvents sheet
+ * Only the header row is read, so a retried batch whose first reply was lost is appended again;
+ * the export drops the repeated rows by batchId (buildVideoEventExport in studyExport.js).
+ * @param {Object} store - Sheet store
+ * @param {Object} config - Study configuration
+ * @param {Object} session - { participantId } from requireParticipant
+ * @param {Object} batch - { batchId, trialId, video, catchTrial, events: [{ type, mediaTime, fromTime, playbackRate, wallTime }] }
+ * @returns {Promise<Object>} - { batchId, saved } with the number of rows appended
+ */
+async function saveVideoEvents(store, config, session, batch = {}) {
+    if (!isTelemetryEnabled(config)) {
+        throw new HttpError(400, 'This study does not log video events', 'VIDEO_TELEMETRY_DISABLED');
+    }
+
+    const batchId = String(batch.batchId || '');
+    const trialId = String(batch.trialId || '');
+    if (!UUID_PATTERN.test(batchId) || !UUID_PATTERN.test(trialId)) {
+        throw new HttpError(400, 'batchId and trialId must be UUIDs', 'INVALID_VIDEO_EVENT');
+    }
+    const video = String(batch.video || '').trim();
+    if (!video) {
+        throw new HttpError(400, 'Video is required', 'INVALID_VIDEO');
+    }
+    const catchTrial = String(batch.catchTrial || '').trim();
+    if (catchTrial) {
+        findCatchTrial(config, catchTrial);
+    }
+    if (!Array.isArray(batch.events) || !batch.events.length || batch.events.length > MAX_EVENTS_PER_BATCH) {
+        throw new HttpError(400, `A batch holds 1 to ${MAX_EVENTS_PER_BATCH} events`, 'INVALID_VIDEO_EVENT');
+    }
+    const events = batch.events.map(normalizeEvent);
+
+    const table = await readHeader(store, config, 'videoEvents');
+    const savedTimestamp = obtainDate();
+    await store.appendValues(config.spreadsheetId, table.sheetName, events.map(event => table.toRow({
+        participantId: session.participantId,
+        trialId,
+        batchId,
+        video,
+        catchTrial,
+        ...event,
+        savedTimestamp
+    })));
+    return { batchId, saved: events.length };
+}
+
+module.exports = { VIDEO_EVENT_TYPES, MAX_EVENTS_PER_BATCH, saveVideoEvents };
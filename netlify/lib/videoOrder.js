@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+
+/**
+ * Per-participant video order, chosen by `videoOrder` in sheet-info.json:
+ *   fixed            SelectedVideos order for everyone
+ *   shuffle          random order, seeded by the study and participant so it can be recomputed
+ *   latin-square     balanced Latin square (Williams design) rotated by participantId
+ *   balanced-blocks  SelectedVideos cut into blocks of `videoOrderBlockSize`; the blocks follow a
+ *                    balanced Latin square and the videos inside each block are shuffled
+ * Latin-square rows go by participantId, which registration hands out sequentially, so
+ * consecutive participants cover the counterbalanced orders in turn.
+ * The result is stored on the participant row (videoOrderStrategy, videoOrder) when it is assigned.
+ */
+
+const VIDEO_ORDER_STRATEGIES = ['fixed', 'shuffle', 'latin-square', 'balanced-blocks'];
+const DEFAULT_BLOCK_SIZE = 4;
+
+// Deterministic PRNG (mulberry32) seeded from the study and participant
+function createRandom(seedText) {
+    let state = crypto.createHash('sha256').update(seedText).digest().readUInt32LE(0);
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function seededShuffle(items, random) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+/**
+ * Row of a balanced Latin square: every item is preceded by every other item equally often.
+ * For an odd number of items the square needs 2n rows, the second half being the first reversed.
+ * @param {Array} items - Items in their base order
+ * @param {number} rowIndex - Row to return (any non-negative integer; wraps around)
+ * @returns {Array}
+ */
+function balancedLatinSquareRow(items, rowIndex) {
+    const count = items.length;
+    const row = [];
+    for (let position = 0, low = 0, high = 0; position < count; position++) {
+        // Base row 0, 1, n-1, 2, n-2, ... shifted by the row index
+        const base = position < 2 || position % 2 !== 0 ? low++ : count - 1 - high++;
+        row.push(items[(base + rowIndex) % count]);
+    }
+    if (count % 2 !== 0 && Math.floor(rowIndex / count) % 2 !== 0) {
+        row.reverse();
+    }
+    return row;
+}
+
+/**
+ * Strategy configured for the study
+ * @param {Object} config - Study configuration
+ * @returns {string} - One of VIDEO_ORDER_STRATEGIES
+ */
+function getVideoOrderStrategy(config) {
+    const strategy = config.videoOrder || 'fixed';
+    if (!VIDEO_ORDER_STRATEGIES.includes(strategy)) {
+        throw new HttpError(500, `Unknown videoOrder "${strategy}" in sheet-info.json`, 'STUDY_CONFIG_INVALID');
+    }
+    return strategy;
+}
+
+/**
+ * Work out the order a participant sees the videos in
+ * @param {Object} config - Study configuration (videoOrder, videoOrderBlockSize, spreadsheetId)
+ * @param {Array<string>} videos - Video file names in SelectedVideos order
+ * @param {number} participantId - Participant the order is for
+ * @returns {Object} - { strategy, videos } with the videos reordered
+ */
+function assignVideoOrder(config, videos, participantId) {
+    const strategy = getVideoOrderStrategy(config);
+    const rowIndex = Math.max(parseInt(participantId) - 1, 0);
+    const random = createRandom(`${config.spreadsheetId}:${participantId}`);
+
+    switch (strategy) {
+        case 'shuffle':
+            return { strategy, videos: seededShuffle(videos, random) };
+
+        case 'latin-square':
+            return { strategy, videos: balancedLatinSquareRow(videos, rowIndex) };
+
+        case 'balanced-blocks': {
+            const blockSize = parseInt(config.videoOrderBlockSize) || DEFAULT_BLOCK_SIZE;
+            const blocks = [];
+            for (let start = 0; start < videos.length; start += blockSize) {
+                blocks.push(videos.slice(start, start + blockSize));
+            }
+            const orderedBlocks = balancedLatinSquareRow(blocks, rowIndex);
+            return { strategy, videos: orderedBlocks.flatMap(block => seededShuffle(block, random)) };
+        }
+
+        default:
+            return { strategy, videos: [...videos] };
+    }
+}
+
+// The order is kept in one cell as comma-separated file names, e.g. "3.mp4,1.mp4,2.mp4"
+function formatVideoOrder(videos) {
+    return videos.join(',');
+}
+
+function parseVideoOrder(cell) {
+    return String(cell || '').split(',').map(name => name.trim()).filter(name => name);
+}
+
+module.exports = {
+    VIDEO_ORDER_STRATEGIES,
+    createRandom,
+    balancedLatinSquareRow,
+    getVideoOrderStrategy,
+    assignVideoOrder,
+    formatVideoOrder,
+    parseVideoOrder
+};
@@ -0,0 +1,129 @@
+const { HttpError } = require('./http');
+const { createRandom, parseVideoOrder } = require('./videoOrder');
+
+/**
+ * Balanced stimulus subsets. With `videoSubsetSize` in sheet-info.json each new participant gets
+ * that many videos instead of all of them, taken where coverage is lowest so the number of
+ * responses per video stays level.
+ *
+ * A video's load is the number of participants who described it (live rows in Movements, catch
+ * trials aside) plus
+ * those who registered in the last ASSIGNMENT_HOLD_HOURS with it assigned and have not answered
+ * it yet, so people registering together are not all handed the same videos. Assignments older
+ * than that stop counting, so videos given to participants who dropped out are handed out again.
+ *
+ * `videoSubsetStratifyByEmotion` keeps each intendedEmotion of SelectedVideos at its share of the
+ * stimulus list; `videoResponseQuota` stops handing out a video once its load reaches the quota.
+ * Registration runs this under the participants lock, so counts cannot go stale between two
+ * registrations.
+ */
+
+const ASSIGNMENT_HOLD_HOURS = 24;
+
+function isSubsetEnabled(config) {
+    return parseInt(config.videoSubsetSize) > 0;
+}
+
+/**
+ * Count the participants covering each video
+ * @param {SheetTable} participantTable - Participants sheet
+ * @param {SheetTable} responseTable - Movements sheet
+ * @param {Date} now - Reference time for the assignment hold
+ * @returns {Map<string, number>} - Load per video file name
+ */
+function countVideoLoad(participantTable, responseTable, now = new Date()) {
+    const answered = new Map();
+    responseTable.rows
+        .filter(row => !responseTable.get(row, 'deletedAt') && !responseTable.get(row, 'catchTrial'))
+        .forEach(row => {
+            const video = responseTable.get(row, 'video');
+            if (!answered.has(video)) {
+                answered.set(video, new Set());
+            }
+            answered.get(video).add(String(responseTable.get(row, 'participantId')));
+        });
+
+    const holdStart = now.getTime() - ASSIGNMENT_HOLD_HOURS * 60 * 60 * 1000;
+    const load = new Map([...answered].map(([video, participants]) => [video, participants.size]));
+    participantTable.rows
+        .filter(row => Date.parse(participantTable.get(row, 'registrationTimestamp')) >= holdStart)
+        .forEach(row => {
+            const participantId = String(participantTable.get(row, 'participantId'));
+            parseVideoOrder(participantTable.get(row, 'videoOrder'))
+                .filter(video => !answered.get(video)?.has(participantId))
+                .forEach(video => load.set(video, (load.get(video) || 0) + 1));
+        });
+
+    return load;
+}
+
+// Split `size` slots across strata in proportion to their share of the stimulus list (largest remainder)
+function allocateSlots(strata, size, total) {
+    const shares = strata.map(([emotion, videos]) => {
+        const exact = (size * videos.length) / total;
+        return { emotion, slots: Math.floor(exact), remainder: exact - Math.floor(exact) };
+    });
+    let left = size - shares.reduce((sum, share) => sum + share.slots, 0);
+    [...shares]
+        .sort((a, b) => b.remainder - a.remainder)
+        .forEach(share => {
+            if (left > 0) {
+                share.slots++;
+                left--;
+            }
+        });
+    return new Map(shares.map(share => [share.emotion, share.slots]));
+}
+
+/**
+ * Pick the videos for a new participant
+ * @param {Object} config - Study configuration (videoSubsetSize, videoSubsetStratifyByEmotion, videoResponseQuota)
+ * @param {Array<Object>} videos - { video, intendedEmotion } from readStudyVideos, in sheet order
+ * @param {Map<string, number>} load - From countVideoLoad
+ * @param {number} participantId - Participant the subset is for (seeds the tie-breaks)
+ * @returns {Array<string>} - Chosen video file names, in sheet order
+ */
+function selectVideoSubset(config, videos, load, participantId) {
+    const size = Math.min(parseInt(config.videoSubsetSize), videos.length);
+    const quota = parseInt(config.videoResponseQuota) || 0;
+    const random = createRandom(`${config.spreadsheetId}:${participantId}:subset`);
+
+    // Least covered first; ties are broken at random so equal videos share the load
+    const available = videos
+        .filter(({ video }) => !quota || (load.get(video) || 0) < quota)
+        .map(entry => ({ ...entry, load: load.get(entry.video) || 0, tieBreak: random() }))
+        .sort((a, b) => a.load - b.load || a.tieBreak - b.tieBreak);
+
+    if (!available.length) {
+        throw new HttpError(409, 'Every video has reached its response quota', 'QUOTAS_FILLED');
+    }
+
+    const chosen = new Set();
+    if (config.videoSubsetStratifyByEmotion) {
+        // Otherwise every video falls in one stratum and the subsets are silently unstratified
+        if (!videos.some(({ intendedEmotion }) => intendedEmotion)) {
+            throw new HttpError(500, 'videoSubsetStratifyByEmotion in sheet-info.json needs an intendedEmotion for the videos in SelectedVideos', 'STUDY_CONFIG_INVALID');
+        }
+        const strata = new Map();
+        videos.forEach(({ intendedEmotion }) => strata.set(intendedEmotion, []));
+        videos.forEach(entry => strata.get(entry.intendedEmotion).push(entry));
+
+        const slots = allocateSlots([...strata], size, videos.length);
+        slots.forEach((count, emotion) => {
+            available
+                .filter(entry => entry.intendedEmotion === emotion)
+                .slice(0, count)
+                .forEach(entry => chosen.add(entry.video));
+        });
+    }
+
+    // Slots a stratum could not fill (or every slot, unstratified) go to the least covered videos left
+    for (const entry of available) {
+        if (chosen.size >= size) break;
+        chosen.add(entry.video);
+    }
+
+    return videos.map(({ video }) => video).filter(video => chosen.has(video));
+}
+
+module.exports = { ASSIGNMENT_HOLD_HOURS, isSubsetEnabled, countVideoLoad, selectVideoSubset };
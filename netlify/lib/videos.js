@@ -0,0 +1,34 @@
+const { readTable } = require('./sheetSchema');
+
+/**
+ * The study's stimulus list, read from the SelectedVideos sheet (video names without extension).
+ */
+
+/**
+ * Read the stimulus list with the details used for assignment
+ * @param {Object} store - Sheet store
+ * @param {Object} config - Study configuration
+ * @returns {Promise<Array<Object>>} - { video, intendedEmotion } per video, e.g. { video: "1.mp4", intendedEmotion: "joy" }
+ */
+async function readStudyVideos(store, config) {
+    const table = await readTable(store, config, 'videos');
+    return table.rows
+        .map(row => ({
+            name: String(table.get(row, 'video') || '').trim(),
+            intendedEmotion: String(table.get(row, 'intendedEmotion') || '').trim()
+        }))
+        .filter(({ name }) => name)
+        .map(({ name, intendedEmotion }) => ({ video: `${name}.mp4`, intendedEmotion }));
+}
+
+/**
+ * @param {Object} store - Sheet store
+ * @param {Object} config - Study configuration
+ * @returns {Promise<Array<string>>} - Video file names, e.g. ["1.mp4", "2.mp4"]
+ */
+async function listStudyVideos(store, config) {
+    const videos = await readStudyVideos(store, config);
+    return videos.map(({ video }) => video);
+}
+
+module.exports = { readStudyVideos, listStudyVideos };
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Check that every study sheet has the headers the Netlify functions need.
+ *
+ * Uses the same backend and credentials as the functions (sheet-info.json, GOOGLE_* variables,
+ * or GOOGLE_API_EMULATOR_URL), so run it wherever the functions would run:
+ *   npm run check-schema
+ *   npm run check-schema -- --add-missing    (write missing headers at the end of each header row)
+ *
+ * Exits with status 1 when a header is missing or duplicated, listing what to fix. With
+ * --add-missing, sheets with a duplicated header or that could not be read are left as they are.
+ */
+
+const { getStudyConfig } = require('../netlify/lib/studyConfig');
+const { createSheetStore } = require('../netlify/lib/sheetStore');
+const { checkSheetSchemas, addMissingHeaders } = require('../netlify/lib/sheetSchema');
+
+function parseArgs(argv) {
+    const options = { addMissing: false };
+    for (const arg of argv) {
+        if (arg === '--add-missing') options.addMissing = true;
+        else throw new Error(`Unknown option "${arg}"`);
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const config = getStudyConfig();
+    const store = createSheetStore(config);
+    const results = await checkSheetSchemas(store, config);
+    let valid = true;
+
+    for (const result of results) {
+        const { sheetName, missing, duplicated, error } = result;
+        if (error) {
+            valid = false;
+            console.log(`✗ ${sheetName}: could not be read (${error})`);
+        } else if (missing.length && !duplicated.length && options.addMissing) {
+            await addMissingHeaders(store, config, result);
+            console.log(`✓ ${sheetName}: added headers ${missing.join(', ')}`);
+        } else if (missing.length || duplicated.length) {
+            valid = false;
+            if (missing.length) console.log(`✗ ${sheetName}: missing headers ${missing.join(', ')}`);
+            if (duplicated.length) console.log(`✗ ${sheetName}: duplicated headers ${duplicated.join(', ')}`);
+        } else {
+            console.log(`✓ ${sheetName}`);
+        }
+    }
+
+    process.exitCode = valid ? 0 : 1;
+}
+
+main().catch(error => {
+    console.error('Schema check failed:', error);
+    process.exitCode = 1;
+});
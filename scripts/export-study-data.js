@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * Export the study data as an analysis-ready bundle.
+ *
+ * Reads Participants, Movements, SelectedVideos (and VideoEvents when videoTelemetry is on) plus
+ * the audio folders on Drive, using the same backend and credentials as the functions
+ * (sheet-info.json, GOOGLE_* variables, or GOOGLE_API_EMULATOR_URL):
+ *   npm run export -- [--out <dir>] [--include-identifying] [--include-deleted] [--download-audio]
+ *
+ * Writes to <dir> (default exports/study-<timestamp>):
+ *   responses.csv / responses.json            one row per response, joined with demographics
+ *   audio-manifest.csv / audio-manifest.json  every clip on Drive with its checksum and response
+ *   attention.csv                             catch-trial results per participant, when the study has catch trials
+ *   video-events.csv                          every logged play, pause, seek, rate change and replay, when videoTelemetry is on
+ *   audio/<participant folder>/<file>         only with --download-audio (md5 checked against Drive)
+ *
+ * Names, emails and recruitment-panel ids are left out unless --include-identifying is given;
+ * withdrawn responses are left out unless --include-deleted is given.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getStudyConfig } = require('../netlify/lib/studyConfig');
+const { createSheetStore } = require('../netlify/lib/sheetStore');
+const { getServiceAccountToken } = require('../netlify/lib/googleApi');
+const { downloadFile } = require('../netlify/lib/driveFiles');
+const {
+    AUDIO_MANIFEST_COLUMNS,
+    readStudySheets,
+    listAudioFiles,
+    buildStudyExport,
+    buildAttentionExport,
+    buildVideoEventExport,
+    toCsv
+} = require('../netlify/lib/studyExport');
+
+function parseArgs(argv) {
+    const options = {
+        out: null,
+        includeIdentifying: false,
+        includeDeleted: false,
+        downloadAudio: false
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') options.out = argv[++i];
+        else if (arg === '--include-identifying') options.includeIdentifying = true;
+        else if (arg === '--include-deleted') options.includeDeleted = true;
+        else if (arg === '--download-audio') options.downloadAudio = true;
+        else throw new Error(`Unknown option "${arg}"`);
+    }
+    if (!options.out) {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        options.out = path.join('exports', `study-${timestamp}`);
+    }
+    return options;
+}
+
+function writeJson(filePath, data) {
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n');
+}
+
+// Download every clip in the manifest and record its sha256; a clip whose md5 differs from Drive's is reported
+async function downloadAudio(manifest, outDir) {
+    const accessToken = await getServiceAccountToken();
+    const mismatches = [];
+
+    for (const entry of manifest) {
+        const content = await downloadFile(accessToken, entry.fileId);
+        const md5 = crypto.createHash('md5').update(content).digest('hex');
+        if (entry.md5Checksum && md5 !== entry.md5Checksum) {
+            mismatches.push(`${entry.folder}/${entry.fileName}`);
+        }
+
+        const folderDir = path.join(outDir, 'audio', entry.folder);
+        fs.mkdirSync(folderDir, { recursive: true });
+        fs.writeFileSync(path.join(folderDir, entry.fileName), content);
+        entry.localPath = path.posix.join('audio', entry.folder, entry.fileName);
+        entry.sha256 = crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    return mismatches;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const config = getStudyConfig();
+
+    const sheets = await readStudySheets(createSheetStore(config), config);
+    const audioFiles = config.audioDriveFolderId ? await listAudioFiles(config) : [];
+    const { records, columns, manifest } = buildStudyExport(sheets, audioFiles, options);
+
+    fs.mkdirSync(options.out, { recursive: true });
+
+    let manifestColumns = AUDIO_MANIFEST_COLUMNS;
+    let mismatches = [];
+    if (options.downloadAudio) {
+        mismatches = await downloadAudio(manifest, options.out);
+        manifestColumns = [...AUDIO_MANIFEST_COLUMNS, 'localPath', 'sha256'];
+    }
+
+    const participantIds = new Set(records.map(record => record.participantId));
+    writeJson(path.join(options.out, 'responses.json'), {
+        exportedAt: new Date().toISOString(),
+        spreadsheetId: config.spreadsheetId,
+        counts: {
+            participants: participantIds.size,
+            responses: records.length,
+            audioFiles: manifest.length
+        },
+        videos: sheets.videos,
+        responses: records
+    });
+    fs.writeFileSync(path.join(options.out, 'responses.csv'), toCsv(records, columns));
+    writeJson(path.join(options.out, 'audio-manifest.json'), manifest);
+    fs.writeFileSync(path.join(options.out, 'audio-manifest.csv'), toCsv(manifest, manifestColumns));
+
+    const attention = buildAttentionExport(sheets, config);
+    if (attention.records.length) {
+        fs.writeFileSync(path.join(options.out, 'attention.csv'), toCsv(attention.records, attention.columns));
+    }
+
+    if (config.videoTelemetry) {
+        const videoEvents = buildVideoEventExport(sheets);
+        fs.writeFileSync(path.join(options.out, 'video-events.csv'), toCsv(videoEvents.records, videoEvents.columns));
+    }
+
+    console.log(`Exported ${records.length} responses from ${participantIds.size} participants and ${manifest.length} audio files to ${options.out}`);
+    const unreferenced = manifest.filter(entry => !entry.referenced).length;
+    if (unreferenced) {
+        console.log(`${unreferenced} audio files are not referenced by any response (see audio-manifest.csv)`);
+    }
+    const flagged = attention.records.filter(record => record.flagged).length;
+    if (flagged) {
+        console.log(`${flagged} participants failed their catch trials (see attention.csv)`);
+    }
+    if (mismatches.length) {
+        console.error(`Checksum mismatch for ${mismatches.join(', ')}`);
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error('Export failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,586 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for the Google APIs this app calls.
+ *
+ * Answers the Sheets v4 endpoints used by netlify/lib/sheetStore.js (values get/append/update,
+ * values:batchUpdate and :batchUpdate) and the Drive v3 endpoints used by the Netlify functions
+ * (files list/create/update, multipart and resumable uploads), backed by in-memory state that can
+ * optionally be persisted to a JSON file. Unfinished resumable sessions are kept in memory only.
+ *
+ * Usage:
+ *   npm run emulator -- [--port 8787] [--data tmp/google-emulator.json] [--config sheet-info.json]
+ *
+ * Then point the Netlify functions at it (the browser only ever talks to the functions):
+ *   GOOGLE_API_EMULATOR_URL=http://localhost:8787 netlify dev
+ *
+ * Inspection routes for development and automated checks live under /__emulator/:
+ *   GET  /__emulator/state                         Full state dump
+ *   GET  /__emulator/sheets/:spreadsheetId/:sheet  Rows keyed by header name
+ *   POST /__emulator/seed                          { spreadsheets: { id: { Sheet: [[...]] } } }
+ *   POST /__emulator/reset                         Back to the sheets from the config file
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseRange, formatRange, writeCells, appendRows, readRange } = require('../netlify/lib/sheetGrid');
+const { defaultSheetValues } = require('../netlify/lib/sheetSchema');
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+class ApiError extends Error {
+    constructor(code, message, status) {
+        super(message);
+        this.code = code;
+        this.status = status;
+    }
+}
+
+// Spreadsheet + Drive state, with optional persistence to a JSON file
+class EmulatorState {
+    constructor({ config = null, dataFile = null, rootDir = process.cwd() } = {}) {
+        this.config = config;
+        this.dataFile = dataFile;
+        this.rootDir = rootDir;
+        this.reset();
+
+        if (dataFile && fs.existsSync(dataFile)) {
+            Object.assign(this, JSON.parse(fs.readFileSync(dataFile, 'utf8')));
+        }
+    }
+
+    reset() {
+        this.spreadsheets = {};
+        this.files = {};
+        this.nextFileId = 1;
+        this.uploads = {};
+
+        // Pre-create the spreadsheet and sheets named in sheet-info.json
+        if (this.config?.spreadsheetId) {
+            const sheetNames = [this.config.ParticipantSheet, this.config.OnomatopoeiaSheet, this.config.videoSheet, this.config.lockSheet, this.config.accessCodeSheet, this.config.videoEventSheet];
+            sheetNames.filter(Boolean).forEach(name => {
+                this.addSheet(this.config.spreadsheetId, name, defaultSheetValues(name, this.rootDir));
+            });
+        }
+        if (this.config?.audioDriveFolderId) {
+            this.files[this.config.audioDriveFolderId] = this.buildFile({
+                id: this.config.audioDriveFolderId,
+                name: 'Study data',
+                mimeType: FOLDER_MIME_TYPE,
+                parents: []
+            });
+        }
+    }
+
+    save() {
+        if (!this.dataFile) return;
+        fs.mkdirSync(path.dirname(this.dataFile), { recursive: true });
+        fs.writeFileSync(this.dataFile, JSON.stringify({
+            spreadsheets: this.spreadsheets,
+            files: this.files,
+            nextFileId: this.nextFileId
+        }, null, 2));
+    }
+
+    addSheet(spreadsheetId, sheetName, values = []) {
+        const spreadsheet = this.spreadsheets[spreadsheetId] ||= { nextSheetId: 0, sheets: {} };
+        spreadsheet.sheets[sheetName] = { sheetId: spreadsheet.nextSheetId++, values };
+        return spreadsheet.sheets[sheetName];
+    }
+
+    getSpreadsheet(spreadsheetId) {
+        const spreadsheet = this.spreadsheets[spreadsheetId];
+        if (!spreadsheet) {
+            throw new ApiError(404, 'Requested entity was not found.', 'NOT_FOUND');
+        }
+        return spreadsheet;
+    }
+
+    getSheet(spreadsheetId, sheetName, range = sheetName) {
+        const sheet = this.getSpreadsheet(spreadsheetId).sheets[sheetName];
+        if (!sheet) {
+            throw new ApiError(400, `Unable to parse range: ${range}`, 'INVALID_ARGUMENT');
+        }
+        return sheet;
+    }
+
+    getSheetById(spreadsheetId, sheetId) {
+        const sheets = Object.values(this.getSpreadsheet(spreadsheetId).sheets);
+        const sheet = sheets.find(candidate => candidate.sheetId === Number(sheetId));
+        if (!sheet) {
+            throw new ApiError(400, `No grid with id: ${sheetId}`, 'INVALID_ARGUMENT');
+        }
+        return sheet;
+    }
+
+    buildFile(fields) {
+        const id = fields.id || `emu-file-${this.nextFileId++}`;
+        return {
+            kind: 'drive#file',
+            name: fields.name || 'Untitled',
+            mimeType: fields.mimeType || 'application/octet-stream',
+            parents: fields.parents || [],
+            trashed: false,
+            createdTime: new Date().toISOString(),
+            webViewLink: `https://drive.google.com/file/d/${id}/view`,
+            size: '0',
+            ...fields,
+            id
+        };
+    }
+
+    createFile(metadata, content = null) {
+        const file = this.buildFile(metadata);
+        if (content) {
+            file.size = String(content.length);
+            file.md5Checksum = crypto.createHash('md5').update(content).digest('hex');
+            file.content = content.toString('base64');
+        }
+        this.files[file.id] = file;
+        return file;
+    }
+}
+
+// Drive `q` parser covering the clauses the functions use, joined with "and"
+function buildDriveFilter(query) {
+    if (!query) return () => true;
+
+    const clauses = query.split(/\s+and\s+/i).map(clause => clause.trim());
+    const predicates = clauses.map(clause => {
+        let match = /^'((?:[^'\\]|\\.)*)'\s+in\s+parents$/i.exec(clause);
+        if (match) {
+            const parentId = match[1].replace(/\\'/g, "'");
+            return file => file.parents.includes(parentId);
+        }
+
+        match = /^(name|mimeType)\s*(=|!=)\s*'((?:[^'\\]|\\.)*)'$/.exec(clause);
+        if (match) {
+            const [, field, operator, rawValue] = match;
+            const value = rawValue.replace(/\\'/g, "'");
+            return file => (file[field] === value) === (operator === '=');
+        }
+
+        match = /^trashed\s*=\s*(true|false)$/i.exec(clause);
+        if (match) {
+            const trashed = match[1].toLowerCase() === 'true';
+            return file => file.trashed === trashed;
+        }
+
+        throw new ApiError(400, `Invalid Value: unsupported query clause "${clause}"`, 'INVALID_ARGUMENT');
+    });
+
+    return file => predicates.every(predicate => predicate(file));
+}
+
+// Apply a Drive `fields` projection such as "files(id,name)" or "id,name,webViewLink"
+function projectFields(file, fields, defaults = ['kind', 'id', 'name', 'mimeType']) {
+    const names = fields ? fields.split(',').map(name => name.trim()).filter(Boolean) : defaults;
+    return Object.fromEntries(names.filter(name => name in file).map(name => [name, file[name]]));
+}
+
+function listFieldNames(fields) {
+    const match = /files\(([^)]*)\)/.exec(fields || '');
+    return match ? match[1] : null;
+}
+
+// Split a multipart/related body into its parts
+function parseMultipart(body, contentType) {
+    const boundaryMatch = /boundary="?([^";]+)"?/i.exec(contentType || '');
+    if (!boundaryMatch) {
+        throw new ApiError(400, 'Missing multipart boundary', 'INVALID_ARGUMENT');
+    }
+
+    const delimiter = Buffer.from(`--${boundaryMatch[1]}`);
+    const parts = [];
+    let position = body.indexOf(delimiter);
+
+    while (position !== -1) {
+        const start = position + delimiter.length;
+        if (body.slice(start, start + 2).toString() === '--') break;
+
+        const next = body.indexOf(delimiter, start);
+        if (next === -1) break;
+
+        // Trim the CRLF that follows the delimiter and the one that precedes the next delimiter
+        const raw = body.slice(start + 2, next - 2);
+        const headerEnd = raw.indexOf('\r\n\r\n');
+        const headers = raw.slice(0, headerEnd).toString();
+        parts.push({
+            contentType: (/content-type:\s*([^\r\n]+)/i.exec(headers) || [])[1] || '',
+            body: raw.slice(headerEnd + 4)
+        });
+        position = next;
+    }
+
+    if (parts.length < 2) {
+        throw new ApiError(400, 'Multipart body must contain metadata and media parts', 'INVALID_ARGUMENT');
+    }
+    return { metadata: JSON.parse(parts[0].body.toString()), media: parts[1].body, mediaType: parts[1].contentType };
+}
+
+function formatCell(value) {
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    return String(value);
+}
+
+function toCellValue(cell) {
+    const value = cell?.userEnteredValue || {};
+    if ('stringValue' in value) return value.stringValue;
+    if ('numberValue' in value) return value.numberValue;
+    if ('boolValue' in value) return value.boolValue;
+    return '';
+}
+
+function requireValueInputOption(url) {
+    const option = url.searchParams.get('valueInputOption');
+    if (!['RAW', 'USER_ENTERED'].includes(option)) {
+        throw new ApiError(400, "Invalid valueInputOption: must be 'RAW' or 'USER_ENTERED'", 'INVALID_ARGUMENT');
+    }
+}
+
+// Route handlers: each returns [statusCode, jsonBody]
+function createRoutes(state) {
+    const sheetsValues = (req, url, body, spreadsheetId, rawRange) => {
+        const isAppend = rawRange.endsWith(':append');
+        const rangeText = decodeURIComponent(isAppend ? rawRange.slice(0, -':append'.length) : rawRange);
+        const range = parseRange(rangeText);
+        const sheet = state.getSheet(spreadsheetId, range.sheetName, rangeText);
+
+        if (req.method === 'GET' && !isAppend) {
+            // Like the default FORMATTED_VALUE rendering, every cell comes back as a string
+            const values = readRange(sheet.values, range).map(row => row.map(formatCell));
+            const width = Math.max(1, ...values.map(row => row.length));
+            const result = {
+                range: formatRange(range.sheetName, range.startRow, range.startCol, range.startRow + Math.max(values.length, 1) - 1, range.startCol + width - 1),
+                majorDimension: 'ROWS'
+            };
+            if (values.length) result.values = values;
+            return [200, result];
+        }
+
+        if (req.method === 'POST' && isAppend) {
+            requireValueInputOption(url);
+            const existingRows = sheet.values.length;
+            const existingWidth = Math.max(1, ...sheet.values.map(row => row.length));
+            const updates = appendRows(sheet.values, range.sheetName, body.values || []);
+            state.save();
+            const result = { spreadsheetId, updates: { spreadsheetId, ...updates } };
+            if (existingRows) {
+                result.tableRange = formatRange(range.sheetName, 0, 0, existingRows - 1, existingWidth - 1);
+            }
+            return [200, result];
+        }
+
+        if (req.method === 'PUT' && !isAppend) {
+            requireValueInputOption(url);
+            const rows = body.values || [];
+            writeCells(sheet.values, range.startRow, range.startCol, rows);
+            state.save();
+            const width = Math.max(1, ...rows.map(row => row.length));
+            return [200, {
+                spreadsheetId,
+                updatedRange: formatRange(range.sheetName, range.startRow, range.startCol, range.startRow + rows.length - 1, range.startCol + width - 1),
+                updatedRows: rows.length,
+                updatedColumns: width,
+                updatedCells: rows.reduce((total, row) => total + row.length, 0)
+            }];
+        }
+
+        throw new ApiError(405, 'Method not allowed', 'METHOD_NOT_ALLOWED');
+    };
+
+    const sheetsValuesBatchUpdate = (req, url, body, spreadsheetId) => {
+        if (req.method !== 'POST') {
+            throw new ApiError(405, 'Method not allowed', 'METHOD_NOT_ALLOWED');
+        }
+        if (!['RAW', 'USER_ENTERED'].includes(body.valueInputOption)) {
+            throw new ApiError(400, "Invalid valueInputOption: must be 'RAW' or 'USER_ENTERED'", 'INVALID_ARGUMENT');
+        }
+        const responses = (body.data || []).map(({ range: rangeText, values = [] }) => {
+            const range = parseRange(rangeText);
+            const sheet = state.getSheet(spreadsheetId, range.sheetName, rangeText);
+            writeCells(sheet.values, range.startRow, range.startCol, values);
+            return { spreadsheetId, updatedRange: rangeText, updatedRows: values.length };
+        });
+        state.save();
+        return [200, {
+            spreadsheetId,
+            totalUpdatedRows: responses.reduce((total, response) => total + response.updatedRows, 0),
+            responses
+        }];
+    };
+
+    const sheetsBatchUpdate = (req, url, body, spreadsheetId) => {
+        const replies = (body.requests || []).map(request => {
+            if (request.appendCells) {
+                const { sheetId, rows = [] } = request.appendCells;
+                const sheet = state.getSheetById(spreadsheetId, sheetId);
+                writeCells(sheet.values, sheet.values.length, 0, rows.map(row => (row.values || []).map(toCellValue)));
+                return {};
+            }
+            if (request.updateCells) {
+                const { range, rows = [] } = request.updateCells;
+                const sheet = state.getSheetById(spreadsheetId, range.sheetId);
+                writeCells(sheet.values, range.startRowIndex || 0, range.startColumnIndex || 0, rows.map(row => (row.values || []).map(toCellValue)));
+                return {};
+            }
+            throw new ApiError(400, `Unsupported batchUpdate request: ${Object.keys(request).join(', ')}`, 'INVALID_ARGUMENT');
+        });
+        state.save();
+        return [200, { spreadsheetId, replies }];
+    };
+
+    const driveFiles = (req, url, body) => {
+        if (req.method === 'GET') {
+            const filter = buildDriveFilter(url.searchParams.get('q'));
+            const fileFields = listFieldNames(url.searchParams.get('fields'));
+            const files = Object.values(state.files).filter(filter);
+            return [200, { kind: 'drive#fileList', files: files.map(file => projectFields(file, fileFields)) }];
+        }
+        if (req.method === 'POST') {
+            const file = state.createFile(JSON.parse(body.toString() || '{}'));
+            state.save();
+            return [200, projectFields(file, url.searchParams.get('fields'))];
+        }
+        throw new ApiError(405, 'Method not allowed', 'METHOD_NOT_ALLOWED');
+    };
+
+    const driveFile = (req, url, body, fileId) => {
+        const file = state.files[fileId];
+        if (!file || !['GET', 'PATCH'].includes(req.method)) {
+            throw new ApiError(404, `File not found: ${fileId}.`, 'NOT_FOUND');
+        }
+        if (req.method === 'PATCH') {
+            // Metadata updates only (e.g. { trashed: true }); id and contents are kept
+            const { id: _id, content: _content, ...changes } = JSON.parse(body.toString() || '{}');
+            Object.assign(file, changes);
+            state.save();
+            return [200, projectFields(file, url.searchParams.get('fields'))];
+        }
+        if (url.searchParams.get('alt') === 'media') {
+            return [200, Buffer.from(file.content || '', 'base64'), file.mimeType];
+        }
+        return [200, projectFields(file, url.searchParams.get('fields'))];
+    };
+
+    const driveUpload = (req, url, body) => {
+        if (url.searchParams.get('uploadType') === 'resumable') {
+            return driveResumableUpload(req, url, body);
+        }
+        if (req.method !== 'POST' || url.searchParams.get('uploadType') !== 'multipart') {
+            throw new ApiError(400, 'Only uploadType=multipart and uploadType=resumable are supported', 'INVALID_ARGUMENT');
+        }
+        const { metadata, media, mediaType } = parseMultipart(body, req.headers['content-type']);
+        const file = state.createFile({ mimeType: mediaType || undefined, ...metadata }, media);
+        state.save();
+        return [200, projectFields(file, url.searchParams.get('fields'))];
+    };
+
+    // Resumable uploads: POST opens a session, PUTs to the session URI add bytes
+    // (answered with 308 + Range until the last byte arrives) or query progress with "bytes */total"
+    const driveResumableUpload = (req, url, body) => {
+        const uploadId = url.searchParams.get('upload_id');
+
+        if (req.method === 'POST' && !uploadId) {
+            const id = crypto.randomUUID();
+            state.uploads[id] = {
+                metadata: JSON.parse(body.toString() || '{}'),
+                mimeType: req.headers['x-upload-content-type'] || 'application/octet-stream',
+                fields: url.searchParams.get('fields'),
+                chunks: [],
+                received: 0
+            };
+            const location = `http://${req.headers.host}/upload/drive/v3/files?uploadType=resumable&upload_id=${id}`;
+            return [200, '', 'text/plain', { Location: location }];
+        }
+
+        const upload = state.uploads[uploadId];
+        if (req.method !== 'PUT' || !upload) {
+            throw new ApiError(404, 'No such upload session', 'NOT_FOUND');
+        }
+
+        const range = /^bytes (\*|(\d+)-(\d+))\/(\d+)$/.exec(req.headers['content-range'] || '');
+        if (!range) {
+            throw new ApiError(400, 'Invalid Content-Range', 'INVALID_ARGUMENT');
+        }
+        const total = parseInt(range[4]);
+
+        if (range[1] !== '*') {
+            const start = parseInt(range[2]);
+            if (start > upload.received) {
+                throw new ApiError(400, `Chunk starts at ${start} but only ${upload.received} bytes were received`, 'INVALID_ARGUMENT');
+            }
+            // A retried chunk may overlap bytes already stored
+            const fresh = body.subarray(upload.received - start);
+            upload.chunks.push(fresh);
+            upload.received += fresh.length;
+        }
+
+        if (upload.file) {
+            return [200, projectFields(upload.file, upload.fields)];
+        }
+        if (upload.received >= total) {
+            upload.file = state.createFile({ mimeType: upload.mimeType, ...upload.metadata }, Buffer.concat(upload.chunks));
+            upload.chunks = [];
+            state.save();
+            return [200, projectFields(upload.file, upload.fields)];
+        }
+
+        const rangeHeader = upload.received > 0 ? { Range: `bytes=0-${upload.received - 1}` } : {};
+        return [308, '', 'text/plain', rangeHeader];
+    };
+
+    return [
+        [/^\/v4\/spreadsheets\/([^/:]+)\/values\/(.+)$/, sheetsValues, { json: true }],
+        [/^\/v4\/spreadsheets\/([^/:]+)\/values:batchUpdate$/, sheetsValuesBatchUpdate, { json: true }],
+        [/^\/v4\/spreadsheets\/([^/:]+):batchUpdate$/, sheetsBatchUpdate, { json: true }],
+        [/^\/drive\/v3\/files$/, driveFiles, {}],
+        [/^\/drive\/v3\/files\/([^/]+)$/, driveFile, {}],
+        [/^\/upload\/drive\/v3\/files$/, driveUpload, {}]
+    ];
+}
+
+// Development routes for seeding and inspecting state
+function handleEmulatorRoute(req, url, body, state) {
+    const route = url.pathname.replace(/^\/__emulator/, '');
+
+    if (req.method === 'GET' && route === '/state') {
+        return [200, { spreadsheets: state.spreadsheets, files: state.files }];
+    }
+
+    const sheetMatch = /^\/sheets\/([^/]+)\/([^/]+)$/.exec(route);
+    if (req.method === 'GET' && sheetMatch) {
+        const [header = [], ...rows] = state.getSheet(sheetMatch[1], decodeURIComponent(sheetMatch[2])).values;
+        return [200, rows.map(row => Object.fromEntries(header.map((name, index) => [name, row[index] ?? ''])))];
+    }
+
+    if (req.method === 'POST' && route === '/seed') {
+        const { spreadsheets = {}, files = [] } = JSON.parse(body.toString() || '{}');
+        for (const [spreadsheetId, sheets] of Object.entries(spreadsheets)) {
+            for (const [sheetName, values] of Object.entries(sheets)) {
+                state.addSheet(spreadsheetId, sheetName, values);
+            }
+        }
+        files.forEach(file => state.createFile(file));
+        state.save();
+        return [200, { success: true }];
+    }
+
+    if (req.method === 'POST' && route === '/reset') {
+        state.reset();
+        state.save();
+        return [200, { success: true }];
+    }
+
+    throw new ApiError(404, `Unknown emulator route ${route}`, 'NOT_FOUND');
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Create the emulator HTTP server (not yet listening)
+ * @param {Object} options - { config, dataFile, rootDir, log }
+ * @returns {http.Server} - Server with the emulator state attached as `server.state`
+ */
+function createEmulator(options = {}) {
+    const state = new EmulatorState(options);
+    const routes = createRoutes(state);
+    const log = options.log || (() => {});
+
+    const server = http.createServer(async (req, res) => {
+        const corsHeaders = {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Authorization, Content-Type, Content-Range, X-Upload-Content-Type, X-Upload-Content-Length',
+            'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+            'Access-Control-Expose-Headers': 'Location, Range'
+        };
+        const send = (statusCode, payload, contentType = 'application/json', headers = {}) => {
+            const isRaw = Buffer.isBuffer(payload) || typeof payload === 'string';
+            res.writeHead(statusCode, { ...corsHeaders, 'Content-Type': contentType, ...headers });
+            res.end(isRaw ? payload : JSON.stringify(payload));
+        };
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, corsHeaders);
+            res.end();
+            return;
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        try {
+            const body = await readBody(req);
+            log(`${req.method} ${url.pathname}${url.search}`);
+
+            if (url.pathname.startsWith('/__emulator/')) {
+                send(...handleEmulatorRoute(req, url, body, state));
+                return;
+            }
+
+            // Like Drive, a resumable session URI authorizes its own PUTs
+            const isSessionUri = url.pathname === '/upload/drive/v3/files' && url.searchParams.has('upload_id');
+            if (!isSessionUri && !/^Bearer\s+\S+/.test(req.headers.authorization || '')) {
+                throw new ApiError(401, 'Request is missing required authentication credential.', 'UNAUTHENTICATED');
+            }
+
+            for (const [pattern, handler, { json }] of routes) {
+                const match = pattern.exec(url.pathname);
+                if (match) {
+                    const parsedBody = json ? JSON.parse(body.toString() || '{}') : body;
+                    send(...handler(req, url, parsedBody, ...match.slice(1)));
+                    return;
+                }
+            }
+
+            throw new ApiError(404, `No emulated endpoint for ${req.method} ${url.pathname}`, 'NOT_FOUND');
+        } catch (error) {
+            const apiError = error instanceof ApiError ? error : new ApiError(500, error.message, 'INTERNAL');
+            if (apiError.code === 500) {
+                console.error('Emulator error:', error);
+            }
+            send(apiError.code, { error: { code: apiError.code, message: apiError.message, status: apiError.status } });
+        }
+    });
+
+    server.state = state;
+    return server;
+}
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const rootDir = path.resolve(__dirname, '..');
+    const configPath = path.resolve(args.config || path.join(rootDir, 'sheet-info.json'));
+    const port = parseInt(args.port || process.env.GOOGLE_API_EMULATOR_PORT || '8787');
+
+    const server = createEmulator({
+        config: JSON.parse(fs.readFileSync(configPath, 'utf8')),
+        dataFile: args.data ? path.resolve(args.data) : null,
+        rootDir,
+        log: message => console.log(message)
+    });
+
+    server.listen(port, () => {
+        console.log(`Google API emulator listening on http://localhost:${port}`);
+        console.log(`Set GOOGLE_API_EMULATOR_URL=http://localhost:${port} for the Netlify functions`);
+    });
+}
+
+module.exports = { createEmulator, EmulatorState };
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * Issue access codes for a study using `"loginMode": "access-code"`.
+ *
+ * Appends new, unused codes to the AccessCodes sheet and prints them, one per line, for the
+ * experimenter to hand out. Uses the same backend and credentials as the functions
+ * (sheet-info.json, GOOGLE_* variables, or GOOGLE_API_EMULATOR_URL):
+ *   npm run issue-codes -- [--count <n>]      (default 10)
+ */
+
+const { getStudyConfig } = require('../netlify/lib/studyConfig');
+const { createSheetStore } = require('../netlify/lib/sheetStore');
+const { getLoginMode, issueAccessCodes } = require('../netlify/lib/accessCodes');
+
+const DEFAULT_COUNT = 10;
+
+function parseArgs(argv) {
+    const options = { count: DEFAULT_COUNT };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--count') options.count = parseInt(argv[++i]);
+        else throw new Error(`Unknown option "${arg}"`);
+    }
+    if (!(options.count > 0)) {
+        throw new Error('--count must be a positive number');
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const config = getStudyConfig();
+    if (getLoginMode(config) !== 'access-code') {
+        throw new Error(`loginMode in sheet-info.json is "${getLoginMode(config)}"; access codes are only used with "access-code"`);
+    }
+
+    const codes = await issueAccessCodes(createSheetStore(config), config, options.count);
+    codes.forEach(code => console.log(code));
+    console.error(`Issued ${codes.length} access codes`);
+}
+
+main().catch(error => {
+    console.error('Issuing access codes failed:', error.message);
+    process.exitCode = 1;
+});